@@ -0,0 +1,208 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+/*
+	Free space manager.
+
+	Free space is tracked as regions: runs of adjacent free blocks, coalesced as soon as they are added.
+	On disk, a region is always tiled with valid free blocks, so coalescing does not need any write,
+	only splitting a region does: the remainder must be re-tiled with block of the 16*2^n/24*2^n size classes.
+*/
+
+const MIN_BLOCK_SIZE = 16 ;
+const BLOCK_ALIGNMENT = 8 ;
+
+
+
+function FreeSpace() {
+	this.regions = new Map() ;	// offset -> size
+	this.ends = new Map() ;		// end offset -> offset
+	this.bySize = new Map() ;	// size -> Set of offsets
+	this.sizes = [] ;			// sorted list of region sizes
+	this.size = 0 ;				// total free space
+}
+
+module.exports = FreeSpace ;
+
+
+
+// Add a block, return the region it is now part of
+FreeSpace.prototype.add = function( offset , size ) {
+	var leftOffset = this.ends.get( offset ) ,
+		rightSize = this.regions.get( offset + size ) ;
+
+	this.size += size ;
+
+	if ( rightSize !== undefined ) {
+		this.removeRegion( offset + size ) ;
+		size += rightSize ;
+	}
+
+	if ( leftOffset !== undefined ) {
+		size += this.regions.get( leftOffset ) ;
+		this.removeRegion( leftOffset ) ;
+		offset = leftOffset ;
+	}
+
+	this.addRegion( offset , size ) ;
+
+	return { offset , size } ;
+} ;
+
+
+
+/*
+	Find a place for a block of that size, using the smallest region that fits.
+	Return null if there is none, or an object where:
+		offset: the offset of the block
+		remainder: null or the region left after it ({ offset , size }), to be re-tiled on disk
+*/
+FreeSpace.prototype.allocate = function( size ) {
+	var offset , offsets , regionSize ,
+		index = this.sizeIndex( size ) ;
+
+	for ( ; index < this.sizes.length ; index ++ ) {
+		regionSize = this.sizes[ index ] ;
+
+		// A remainder smaller than the minimal block size can't exist
+		if ( regionSize === size || regionSize - size >= MIN_BLOCK_SIZE ) { break ; }
+	}
+
+	if ( index >= this.sizes.length ) { return null ; }
+
+	offsets = this.bySize.get( regionSize ) ;
+	offset = offsets.values().next().value ;
+	this.removeRegion( offset ) ;
+	this.size -= size ;
+
+	if ( regionSize === size ) { return { offset , remainder: null } ; }
+
+	this.addRegion( offset + size , regionSize - size ) ;
+	return { offset , remainder: { offset: offset + size , size: regionSize - size } } ;
+} ;
+
+
+
+// If a region ends at EOF, remove it and return its offset (the new EOF), else return null
+FreeSpace.prototype.removeTrailing = function( eof ) {
+	var offset = this.ends.get( eof ) ;
+
+	if ( offset === undefined ) { return null ; }
+
+	this.size -= this.regions.get( offset ) ;
+	this.removeRegion( offset ) ;
+
+	return offset ;
+} ;
+
+
+
+FreeSpace.prototype.clear = function() {
+	this.regions.clear() ;
+	this.ends.clear() ;
+	this.bySize.clear() ;
+	this.sizes.length = 0 ;
+	this.size = 0 ;
+} ;
+
+
+
+FreeSpace.prototype.addRegion = function( offset , size ) {
+	var offsets = this.bySize.get( size ) ;
+
+	if ( ! offsets ) {
+		offsets = new Set() ;
+		this.bySize.set( size , offsets ) ;
+		this.sizes.splice( this.sizeIndex( size ) , 0 , size ) ;
+	}
+
+	offsets.add( offset ) ;
+	this.regions.set( offset , size ) ;
+	this.ends.set( offset + size , offset ) ;
+} ;
+
+
+
+FreeSpace.prototype.removeRegion = function( offset ) {
+	var size = this.regions.get( offset ) ,
+		offsets = this.bySize.get( size ) ;
+
+	offsets.delete( offset ) ;
+
+	if ( ! offsets.size ) {
+		this.bySize.delete( size ) ;
+		this.sizes.splice( this.sizeIndex( size ) , 1 ) ;
+	}
+
+	this.regions.delete( offset ) ;
+	this.ends.delete( offset + size ) ;
+} ;
+
+
+
+// Binary search: the index of the first region size greater than or equal to size
+FreeSpace.prototype.sizeIndex = function( size ) {
+	var middle , min = 0 , max = this.sizes.length ;
+
+	while ( min < max ) {
+		middle = ( min + max ) >>> 1 ;
+		if ( this.sizes[ middle ] < size ) { min = middle + 1 ; }
+		else { max = middle ; }
+	}
+
+	return min ;
+} ;
+
+
+
+// Split a region size into a list of valid block sizes
+FreeSpace.partition = function( size ) {
+	var blockSize , sizes = [] ;
+
+	while ( size ) {
+		blockSize = largestBlockSize( size ) ;
+
+		// Again, a remainder smaller than the minimal block size can't exist
+		if ( size - blockSize === BLOCK_ALIGNMENT ) { blockSize = largestBlockSize( blockSize - 1 ) ; }
+
+		sizes.push( blockSize ) ;
+		size -= blockSize ;
+	}
+
+	return sizes ;
+} ;
+
+
+
+// The largest 16*2^n or 24*2^n lesser than or equal to size
+function largestBlockSize( size ) {
+	var powerOf2 = 2 ** Math.floor( Math.log2( size / 16 ) ) ;
+	return 24 * powerOf2 <= size ? 24 * powerOf2 : 16 * powerOf2 ;
+}
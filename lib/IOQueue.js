@@ -0,0 +1,127 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const Promise = require( 'seventh' ) ;
+
+
+
+/*
+	A FIFO queue of I/O operations with reader/writer semantics:
+	consecutive reads run in parallel, a write runs alone.
+	A read queued after a write waits for it, so a write is never starved and a read always sees preceding writes.
+	An operation failing only rejects its own promise, the queue goes on.
+*/
+
+function IOQueue() {
+	this.waiting = [] ;	// Tasks not started yet
+	this.readers = 0 ;	// Number of reads running
+	this.writing = false ;	// True if a write is running
+
+	Object.defineProperties( this , {
+		running: {
+			get: function() { return this.writing ? 1 : this.readers ; }
+		} ,
+		// The number of operations queued or running
+		depth: {
+			get: function() { return this.waiting.length + this.running ; }
+		}
+	} ) ;
+}
+
+module.exports = IOQueue ;
+
+
+
+// Queue an operation that can run alongside other reads, return a promise of what the function returns
+IOQueue.prototype.read = function( fn ) {
+	return this.push( false , fn ) ;
+} ;
+
+
+
+// Queue an operation that needs exclusive access, return a promise of what the function returns
+IOQueue.prototype.write = function( fn ) {
+	return this.push( true , fn ) ;
+} ;
+
+
+
+// True if the operation of that promise has not started yet and nothing was queued after it
+IOQueue.prototype.isLast = function( promise ) {
+	return this.waiting.length > 0 && this.waiting[ this.waiting.length - 1 ].promise === promise ;
+} ;
+
+
+
+IOQueue.prototype.push = function( write , fn ) {
+	var task = { write , fn , promise: new Promise() } ;
+	this.waiting.push( task ) ;
+	this.next() ;
+	return task.promise ;
+} ;
+
+
+
+// Start all tasks that can start now
+IOQueue.prototype.next = function() {
+	var task ;
+
+	while ( this.waiting.length && ! this.writing ) {
+		task = this.waiting[ 0 ] ;
+
+		if ( task.write ) {
+			if ( this.readers ) { return ; }
+			this.writing = true ;
+		}
+		else {
+			this.readers ++ ;
+		}
+
+		this.waiting.shift() ;
+		this.run( task ) ;
+	}
+} ;
+
+
+
+IOQueue.prototype.run = async function( task ) {
+	try {
+		task.promise.resolve( await task.fn() ) ;
+	}
+	catch ( error ) {
+		task.promise.reject( error ) ;
+	}
+
+	// Callbacks of the task's promise are asynchronous, the slot is released before they run
+	if ( task.write ) { this.writing = false ; }
+	else { this.readers -- ; }
+
+	this.next() ;
+} ;
@@ -0,0 +1,313 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const fsPromise = require( 'fs' ).promises ;
+const Promise = require( 'seventh' ) ;
+
+const KVStore = require( './KVStore.js' ) ;
+
+
+
+/*
+	A document store with secondary indexes, on top of KVStore.
+
+	Each index is another KVStore, in its own file, where the key is the serialized indexed value,
+	and the value is the array of IDs of documents having that value.
+	Indexes are computed by an extractor function: ( document , id ) => value (undefined: not indexed).
+
+	Since the document store and its indexes are different files, a "dirty" marker file exists while the store is open.
+	If it still exists when loading, the store was not closed properly (e.g. a crash) and all indexes are rebuilt.
+*/
+
+function IndexedStore( filePath = null , options = {} ) {
+	this.filePath = filePath ;
+	this.options = options ;
+	this.store = new KVStore( filePath , Object.assign( { codec: 'json' } , options ) ) ;
+	this.indexes = {} ;
+	this.dirtyMarkerPath = filePath ? filePath + '.dirty' : null ;
+	this.queue = Promise.resolved ;		// Mutations are serialized to keep indexes consistent
+
+	Object.defineProperties( this , {
+		size: {
+			get: function() { return this.store.size ; }
+		}
+	} ) ;
+
+	if ( options.indexes ) {
+		for ( let name in options.indexes ) {
+			this.addIndex( name , options.indexes[ name ] ) ;
+		}
+	}
+}
+
+module.exports = IndexedStore ;
+
+
+
+IndexedStore.prototype.addIndex = function( name , extractor ) {
+	if ( this.indexes[ name ] ) { throw new Error( "Index '" + name + "' already exists" ) ; }
+
+	this.indexes[ name ] = {
+		name ,
+		extractor ,
+		// ID -> index key: the old key can't be extracted again, the userland may have changed the document it got
+		keys: new Map() ,
+		// Index values are always in memory, so updating an array of IDs is atomic
+		store: new KVStore( this.filePath ? this.filePath + '.' + name + '.idx' : null , {
+			codec: 'json' ,
+			checksum: this.options.checksum ,
+			journal: !! this.options.journal ,
+			readOnly: this.options.readOnly ,
+			Map: this.options.Map ,
+			compression: this.options.compression ,
+			compressionThreshold: this.options.compressionThreshold ,
+			compressionLevel: this.options.compressionLevel ,
+			// Keys of an index are document values, so they are encrypted too
+			encryption: this.options.encryption && Object.assign( {} , this.options.encryption , { encryptKeys: true } )
+		} )
+	} ;
+} ;
+
+
+
+IndexedStore.prototype.loadDB = async function() {
+	var name , dirty = false ;
+
+	await this.store.loadDB() ;
+
+	for ( name in this.indexes ) {
+		await this.indexes[ name ].store.loadDB() ;
+		this.loadIndexKeys( this.indexes[ name ] ) ;
+	}
+
+	// A read-only store can't fix its indexes, the process owning the lock does
+	if ( ! this.dirtyMarkerPath || this.store.readOnly ) { return ; }
+
+	try {
+		await fsPromise.access( this.dirtyMarkerPath ) ;
+		dirty = true ;
+	}
+	catch ( error ) {
+		await fsPromise.writeFile( this.dirtyMarkerPath , '' + process.pid ) ;
+	}
+
+	if ( dirty ) { await this.rebuildIndexes() ; }
+} ;
+
+
+
+// Wait for pending mutations, close all files and mark the indexes as consistent
+IndexedStore.prototype.close = async function() {
+	await this.queue ;
+	await this.store.close() ;
+
+	for ( let name in this.indexes ) {
+		await this.indexes[ name ].store.close() ;
+	}
+
+	if ( this.dirtyMarkerPath && ! this.store.readOnly ) {
+		try {
+			await fsPromise.unlink( this.dirtyMarkerPath ) ;
+		}
+		catch ( error ) {}
+	}
+} ;
+
+
+
+IndexedStore.prototype.has = function( id ) { return this.store.has( id ) ; } ;
+IndexedStore.prototype.get = function( id ) { return this.store.get( id ) ; } ;
+IndexedStore.prototype.keys = function() { return this.store.keys() ; } ;
+IndexedStore.prototype.values = function() { return this.store.values() ; } ;
+IndexedStore.prototype.entries = function() { return this.store.entries() ; } ;
+IndexedStore.prototype.forEach = function( fn ) { return this.store.forEach( fn ) ; } ;
+IndexedStore.prototype.asyncForEach = function( fn ) { return this.store.asyncForEach( fn ) ; } ;
+
+
+
+IndexedStore.prototype.set = function( id , document ) {
+	return this.serialize( async () => {
+		await this.store.set( id , document ) ;
+
+		for ( let name in this.indexes ) {
+			await this.updateIndex( this.indexes[ name ] , id , document ) ;
+		}
+	} ) ;
+} ;
+
+
+
+IndexedStore.prototype.delete = function( id ) {
+	return this.serialize( async () => {
+		if ( ! this.store.has( id ) ) { return ; }
+
+		await this.store.delete( id ) ;
+
+		for ( let name in this.indexes ) {
+			await this.updateIndex( this.indexes[ name ] , id , undefined ) ;
+		}
+	} ) ;
+} ;
+
+
+
+IndexedStore.prototype.clear = function() {
+	return this.serialize( async () => {
+		await this.store.clear() ;
+
+		for ( let name in this.indexes ) {
+			await this.indexes[ name ].store.clear() ;
+			this.indexes[ name ].keys.clear() ;
+		}
+	} ) ;
+} ;
+
+
+
+// Return the IDs of documents having that value for that index
+IndexedStore.prototype.findIdsBy = function( indexName , value ) {
+	var ids , index = this.indexes[ indexName ] ;
+	if ( ! index ) { throw new Error( "Unknown index: " + indexName ) ; }
+
+	// Return a copy: the array of the index must not be altered by the userland
+	ids = index.store.get( this.serializeValue( value ) ) ;
+	return ids ? ids.slice() : [] ;
+} ;
+
+
+
+// Return documents having that value for that index
+IndexedStore.prototype.findBy = async function( indexName , value ) {
+	var documents = [] ;
+
+	for ( let id of this.findIdsBy( indexName , value ) ) {
+		documents.push( await this.store.get( id ) ) ;
+	}
+
+	return documents ;
+} ;
+
+
+
+IndexedStore.prototype.rebuildIndex = function( name ) {
+	var index = this.indexes[ name ] ;
+	if ( ! index ) { throw new Error( "Unknown index: " + name ) ; }
+	return this.serialize( () => this.buildIndex( index ) ) ;
+} ;
+
+
+
+IndexedStore.prototype.rebuildIndexes = function() {
+	return this.serialize( async () => {
+		for ( let name in this.indexes ) {
+			await this.buildIndex( this.indexes[ name ] ) ;
+		}
+	} ) ;
+} ;
+
+
+
+IndexedStore.prototype.buildIndex = async function( index ) {
+	var entries = new Map() ;
+
+	await this.store.asyncForEach( ( document , id ) => {
+		var key = this.extract( index , document , id ) ;
+		if ( key === undefined ) { return ; }
+		if ( ! entries.has( key ) ) { entries.set( key , [] ) ; }
+		entries.get( key ).push( id ) ;
+	} ) ;
+
+	await index.store.clear() ;
+	index.keys.clear() ;
+
+	for ( let [ key , ids ] of entries ) {
+		await index.store.set( key , ids ) ;
+		for ( let id of ids ) { index.keys.set( id , key ) ; }
+	}
+} ;
+
+
+
+// Rebuild the ID -> index key map from the index store
+IndexedStore.prototype.loadIndexKeys = function( index ) {
+	index.keys.clear() ;
+
+	for ( let [ key , ids ] of index.store.entries() ) {
+		for ( let id of ids ) { index.keys.set( id , key ) ; }
+	}
+} ;
+
+
+
+IndexedStore.prototype.updateIndex = async function( index , id , newDocument ) {
+	var ids ,
+		oldKey = index.keys.get( id ) ,
+		newKey = newDocument === undefined ? undefined : this.extract( index , newDocument , id ) ;
+
+	if ( oldKey === newKey ) { return ; }
+
+	if ( oldKey !== undefined ) {
+		ids = ( index.store.get( oldKey ) || [] ).filter( e => e !== id ) ;
+		if ( ids.length ) { await index.store.set( oldKey , ids ) ; }
+		else { await index.store.delete( oldKey ) ; }
+	}
+
+	if ( newKey !== undefined ) {
+		ids = index.store.get( newKey ) || [] ;
+		if ( ! ids.includes( id ) ) { await index.store.set( newKey , [ ... ids , id ] ) ; }
+		index.keys.set( id , newKey ) ;
+	}
+	else {
+		index.keys.delete( id ) ;
+	}
+} ;
+
+
+
+// Return the index key, or undefined if the document is not indexed
+IndexedStore.prototype.extract = function( index , document , id ) {
+	var value = index.extractor( document , id ) ;
+	return value === undefined ? undefined : this.serializeValue( value ) ;
+} ;
+
+
+
+IndexedStore.prototype.serializeValue = value => JSON.stringify( value ) ;
+
+
+
+IndexedStore.prototype.serialize = function( fn ) {
+	var promise = this.queue.then( fn ) ;
+
+	// A failure should not block further mutations
+	this.queue = promise.catch( () => undefined ) ;
+
+	return promise ;
+} ;
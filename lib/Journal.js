@@ -0,0 +1,212 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const fsPromise = require( 'fs' ).promises ;
+const crc32 = require( './crc32.js' ) ;
+
+
+
+/*
+	Write-ahead journal: every write operation is recorded here and fsynced before the main file is touched.
+	On startup, complete records are replayed (all writes are physical, so replaying twice is harmless),
+	an incomplete record at the end is the trace of a crash before the main file was modified: it is dropped.
+
+	Record structure:
+	Payload size (4B) - Payload CRC32 (4B) - Payload
+
+	Payload structure, a list of operations:
+	Type (1B) - Offset (6B) - Data size (4B) - Data
+
+	A truncate operation has no data size and no data.
+*/
+
+const RECORD_HEADER_SIZE = 8 ;
+const OP_WRITE = 1 ;
+const OP_TRUNCATE = 2 ;
+
+const DEFAULT_CHECKPOINT_SIZE = 1024 * 1024 ;
+
+
+
+function Journal( filePath , options = {} ) {
+	this.filePath = filePath ;
+	this.file = null ;
+	this.size = 0 ;		// Current size of the journal file
+
+	// When the journal is bigger than that, the main file is fsynced and the journal is emptied
+	this.checkpointSize = options.checkpointSize || DEFAULT_CHECKPOINT_SIZE ;
+}
+
+module.exports = Journal ;
+
+
+
+Journal.prototype.open = async function() {
+	try {
+		this.file = await fsPromise.open( this.filePath , 'r+' ) ;
+		let stats = await this.file.stat() ;
+		this.size = stats.size ;
+	}
+	catch ( error ) {
+		this.file = await fsPromise.open( this.filePath , 'w+' ) ;
+		this.size = 0 ;
+	}
+} ;
+
+
+
+Journal.prototype.close = async function() {
+	if ( ! this.file ) { return ; }
+	await this.file.close() ;
+	this.file = null ;
+} ;
+
+
+
+/*
+	Operations are objects of the form:
+		{ offset , buffer }		write the buffer at that offset
+		{ offset , truncate: true }	truncate the file at that offset
+*/
+Journal.prototype.append = async function( ops ) {
+	var op , offset = RECORD_HEADER_SIZE , payloadSize = 0 , record ;
+
+	for ( op of ops ) {
+		payloadSize += op.truncate ? 7 : 11 + op.buffer.length ;
+	}
+
+	record = Buffer.allocUnsafe( RECORD_HEADER_SIZE + payloadSize ) ;
+
+	for ( op of ops ) {
+		if ( op.truncate ) {
+			record.writeUInt8( OP_TRUNCATE , offset ) ;
+			record.writeUIntBE( op.offset , offset + 1 , 6 ) ;
+			offset += 7 ;
+		}
+		else {
+			record.writeUInt8( OP_WRITE , offset ) ;
+			record.writeUIntBE( op.offset , offset + 1 , 6 ) ;
+			record.writeUInt32BE( op.buffer.length , offset + 7 ) ;
+			op.buffer.copy( record , offset + 11 ) ;
+			offset += 11 + op.buffer.length ;
+		}
+	}
+
+	record.writeUInt32BE( payloadSize , 0 ) ;
+	record.writeUInt32BE( crc32( record , RECORD_HEADER_SIZE ) , 4 ) ;
+
+	await this.file.write( record , 0 , record.length , this.size ) ;
+	await this.file.sync() ;
+	this.size += record.length ;
+} ;
+
+
+
+// Called once operations are applied to the main file
+Journal.prototype.checkpointIfNeeded = async function( targetFile ) {
+	if ( this.size >= this.checkpointSize ) { await this.checkpoint( targetFile ) ; }
+} ;
+
+
+
+// Make sure the main file is on disk, then forget about everything
+Journal.prototype.checkpoint = async function( targetFile ) {
+	await targetFile.sync() ;
+	await this.file.truncate() ;
+	await this.file.sync() ;
+	this.size = 0 ;
+} ;
+
+
+
+// Re-apply all complete records to the main file, return the number of records replayed
+Journal.prototype.replay = async function( targetFile ) {
+	if ( ! this.size ) { return 0 ; }
+
+	var payloadSize , offset = 0 , count = 0 ,
+		buffer = Buffer.allocUnsafe( this.size ) ;
+
+	await this.file.read( buffer , 0 , this.size , 0 ) ;
+
+	while ( offset + RECORD_HEADER_SIZE <= buffer.length ) {
+		payloadSize = buffer.readUInt32BE( offset ) ;
+
+		if (
+			offset + RECORD_HEADER_SIZE + payloadSize > buffer.length
+			|| buffer.readUInt32BE( offset + 4 ) !== crc32( buffer , offset + RECORD_HEADER_SIZE , offset + RECORD_HEADER_SIZE + payloadSize )
+		) {
+			// Torn record: the crash happened before the main file was touched, so it is rolled back
+			break ;
+		}
+
+		await Journal.applyOps( targetFile , Journal.decodeOps( buffer , offset + RECORD_HEADER_SIZE , offset + RECORD_HEADER_SIZE + payloadSize ) ) ;
+		offset += RECORD_HEADER_SIZE + payloadSize ;
+		count ++ ;
+	}
+
+	await this.checkpoint( targetFile ) ;
+	return count ;
+} ;
+
+
+
+Journal.decodeOps = function( buffer , offset , end ) {
+	var type , opOffset , dataSize , ops = [] ;
+
+	while ( offset < end ) {
+		type = buffer.readUInt8( offset ) ;
+		opOffset = buffer.readUIntBE( offset + 1 , 6 ) ;
+
+		if ( type === OP_TRUNCATE ) {
+			ops.push( { offset: opOffset , truncate: true } ) ;
+			offset += 7 ;
+		}
+		else {
+			dataSize = buffer.readUInt32BE( offset + 7 ) ;
+			ops.push( { offset: opOffset , buffer: buffer.slice( offset + 11 , offset + 11 + dataSize ) } ) ;
+			offset += 11 + dataSize ;
+		}
+	}
+
+	return ops ;
+} ;
+
+
+
+Journal.applyOps = async function( file , ops ) {
+	for ( let op of ops ) {
+		if ( op.truncate ) {
+			await file.truncate( op.offset ) ;
+		}
+		else {
+			await file.write( op.buffer , 0 , op.buffer.length , op.offset ) ;
+		}
+	}
+} ;
@@ -29,16 +29,60 @@
 
 
 const fsPromise = require( 'fs' ).promises ;
+const path = require( 'path' ) ;
+const EventEmitter = require( 'events' ) ;
+const stream = require( 'stream' ) ;
+const zlib = require( 'zlib' ) ;
+const crypto = require( 'crypto' ) ;
+const util = require( 'util' ) ;
 const Promise = require( 'seventh' ) ;
 
+const Journal = require( './Journal.js' ) ;
+const FreeSpace = require( './FreeSpace.js' ) ;
+const crc32 = require( './crc32.js' ) ;
+const codecs = require( './codecs.js' ) ;
+const exportFormats = require( './exportFormats.js' ) ;
+const hintFile = require( './hintFile.js' ) ;
+const Transaction = require( './Transaction.js' ) ;
+const IOQueue = require( './IOQueue.js' ) ;
+const LockFile = require( './LockFile.js' ) ;
+const SkipList = require( './SkipList.js' ) ;
+const LRUCache = require( './LRUCache.js' ) ;
+const ValueReadStream = require( './ValueReadStream.js' ) ;
+const ValueWriteStream = require( './ValueWriteStream.js' ) ;
+const Scanner = require( './Scanner.js' ) ;
 
 
+
+/*
+	Events, emitted once the change is written:
+		set( key , value , oldValue )	oldValue is undefined for a new key
+		delete( key )
+		clear()
+		load()	the store was (re-)loaded from the DB file
+*/
+
 function KVStore( filePath = null , options = {} ) {
+	EventEmitter.call( this ) ;
+
 	this.filePath = filePath ;
 	this.file = null ;
 	this.eof = null ;			// End Of File offset
+	this.dataOffset = HEADER_SIZE ;	// Where the first entry is
+	this.fileFormatVersion = FORMAT_VERSION ;	// Only different while migrating
 	this.map = new ( options.Map || Map )() ;
-	this.freeBlocks = {} ;		// Store spaces that have been freed in the middle of the file
+	this.orderedKeys = options.orderedKeys ? new SkipList() : null ;	// If set, keys are also kept sorted
+	this.freeSpace = new FreeSpace() ;	// Store spaces that have been freed in the middle of the file
+	this.pendingDeletes = new Set() ;	// mapV removed from the map, but not yet deleted from the file
+
+	// Only one process can open the DB file for writing, it is locked by a lock file.
+	// Others can still open it in read-only mode: they don't take the lock, and they see it as it was when loaded.
+	this.readOnly = !! options.readOnly ;
+	this.lockFile = filePath && ! this.readOnly ? new LockFile( filePath + '.lock' ) : null ;
+	this.closed = false ;	// Once .close() is called, the store can't be used anymore
+
+	// Options that are part of the file format: when not set, they are adopted from the file header
+	this.formatOptions = { bufferValues: options.bufferValues , checksum: options.checksum } ;
 
 	// if true, values are buffer (default: string)
 	this.bufferValues = !! options.bufferValues ;
@@ -46,22 +90,152 @@ function KVStore( filePath = null , options = {} ) {
 	// if true, values are stored in memory (the default)
 	this.inMemoryValues = options.inMemoryValues !== undefined ? !! options.inMemoryValues : true ;
 
-	this.inProgress = null ;	// If a write is in progress, this is the promise for that
-	this.inProgressKey = null ;	// The key being written
+	// if set and values are not in memory, recently used values are cached: true or { maxEntries , maxBytes }.
+	// The size of a cached value is the size of its raw value, before compression and encryption.
+	this.cache = ! this.inMemoryValues && options.cache ? new LRUCache( options.cache === true ? {} : options.cache ) : null ;
+
+	// if true, each entry stores a CRC32 that is checked when loading/retrieving
+	this.checksum = !! options.checksum ;
+
+	// if set, values are encoded/decoded by that codec, either a built-in name ('json', 'v8') or a custom one
+	this.codec = null ;
+	this.userCodec = !! options.codec ;
+	if ( options.codec ) { this.setCodec( options.codec ) ; }
+
+	// if set, values bigger than the threshold are compressed, with 'deflate' or 'brotli'.
+	// It is recorded in each entry, so it can be changed at any time: a file can have both kind of entries.
+	this.compression = options.compression || null ;
+	this.compressionThreshold = options.compressionThreshold !== undefined ? options.compressionThreshold : 512 ;
+	this.compressionLevel = options.compressionLevel ;	// zlib's level for deflate, quality for brotli (default: 4)
+	if ( this.compression && ! COMPRESSION_XFLAGS[ this.compression ] ) { throw new Error( "Unknown compression: " + this.compression ) ; }
+
+	// if set, entries are encrypted with AES-256-GCM: { key , previousKeys , encryptKeys }
+	this.encryption = null ;
+	if ( options.encryption ) { this.setEncryption( options.encryption ) ; }
+
+	// if set, every write is recorded in a write-ahead journal before touching the DB file, true for the default path
+	this.journal = null ;
+	this.journalPath =
+		! filePath || ! options.journal ? null :
+		typeof options.journal === 'string' ? options.journal :
+		filePath + '.journal' ;
+	this.journalCheckpointSize = options.journalCheckpointSize ;
+
+	// Without the journal, batches are still recorded first in a journal file of their own, emptied after each batch
+	this.batchJournal = null ;
+	this.batchJournalPath = filePath && ! this.journalPath ? filePath + '.journal' : null ;
+
+	// if set and values are not in memory, a hint file is written on close (or by .checkpoint()) so the next load doesn't scan the DB file,
+	// true for the default path. It is not used with encrypted keys: they would be written in clear.
+	this.hintPath =
+		! filePath || ! options.hintFile ? null :
+		typeof options.hintFile === 'string' ? options.hintFile :
+		filePath + '.hint' ;
+	this.hintWritten = false ;	// The hint file was written by .checkpoint(), it must be removed on the next write
+
+	// The size of reads when the DB file is scanned (loading, verifying, ...), see lib/Scanner.js
+	this.scanChunkSize = options.scanChunkSize ;
+
+	// if set, the DB is compacted when the ratio of free space is above that value, and the file is big enough
+	this.autoCompactRatio = options.autoCompact || 0 ;
+	this.autoCompactMinSize = options.autoCompactMinSize !== undefined ? options.autoCompactMinSize : 1024 * 1024 ;
+	this.compacting = null ;	// The promise of the auto-compaction in progress
+
+	// When writes are fsynced: 'none' (left to the OS), 'fsync-per-write', 'fsync-interval' (every durabilityInterval ms)
+	// or 'group-commit' (acknowledged once fsynced, concurrent writes share one fsync).
+	// With the journal, writes are already fsynced to it before being acknowledged.
+	this.durability = options.durability || 'none' ;
+	this.durabilityInterval = options.durabilityInterval || 1000 ;
+	if ( ! DURABILITY_MODES.has( this.durability ) ) { throw new Error( "Unknown durability: " + this.durability ) ; }
+	this.dirty = false ;		// Written since the last fsync
+	this.groupSync = null ;		// The promise of the fsync the next group commit waits for
+	this.syncTimer = null ;
+	if ( filePath && this.durability === 'fsync-interval' ) { this.startSyncTimer() ; }
+
+	// If set, inserts/updates/deletes queued together are written as one batch: one journal record, adjacent writes merged.
+	// Either true or an object: window (ms to wait for more writes once the batch could start, default: 0),
+	// maxWrites (the batch size limit, default: 1000).
+	this.writeBatching = options.writeBatching ?
+		Object.assign( { window: 0 , maxWrites: 1000 } , typeof options.writeBatching === 'object' ? options.writeBatching : {} ) :
+		null ;
+	this.writeBatch = null ;	// The batch still accepting writes
+
+	// Keys having a TTL, and the background sweeper deleting them once expired
+	this.expiring = new Set() ;
+	this.sweepTimer = null ;
+	if ( options.sweepInterval ) { this.startSweeper( options.sweepInterval ) ; }
+
+	// All file accesses go through that queue: reads run in parallel, writes run alone in FIFO order
+	this.ioQueue = new IOQueue() ;
+	this.opening = null ;	// The promise of .openDB() when started by .ensureOpen()
+
+	// Streams of values in progress, see .createValueReadStream() and .createValueWriteStream()
+	this.valueReadStreams = new Set() ;
+	this.valueWriteStreams = new Set() ;
+
+	// Exports and backups in progress, they need the values as they were when they started, see .export()
+	this.snapshots = new Set() ;
+	this.snapshotReads = [] ;	// Old values to read before the next write
+
+	// Backups, see .backup(): keys changed since the last one started (null before the first one), for incremental backups
+	this.backupChanges = null ;
+	this.lastBackup = null ;	// { path , size , mtimeMs } of the last backup file
+	this.backingUp = false ;
+
+	// Block writes since the store was created, see .stats()
+	this.counters = {
+		inserts: 0 , updates: 0 , relocations: 0 , freeBlockReuses: 0
+	} ;
 
 	Object.defineProperties( this , {
+		// Expired keys are not counted, even if they are not reclaimed yet, like .has() and .keys() ignore them
 		size: {
-			get: function() { return this.map.size ; }
+			get: function() { return this.map.size - this.countExpired() ; }
+		} ,
+		// The number of file operations queued or running
+		queueDepth: {
+			get: function() { return this.ioQueue.depth ; }
 		}
 	} ) ;
 }
 
+KVStore.prototype = Object.create( EventEmitter.prototype ) ;
+KVStore.prototype.constructor = KVStore ;
+
 module.exports = KVStore ;
 
+KVStore.codecs = codecs ;
+KVStore.StoreLockedError = LockFile.StoreLockedError ;
+
+
+
+/*
+	Header structure, at the start of the file:
+	Magic "UKVS" (4B) - Format version (2B) - Options JSON size (2B) - Options JSON - NUL padding up to HEADER_SIZE
+
+	Format versions:
+	1: no header at all, the file starts straight with the first entry (ukvstore <= 0.0.6)
+	2: the header
+	3: the extended flags byte in entries
+*/
+
+const DURABILITY_MODES = new Set( [ 'none' , 'fsync-per-write' , 'fsync-interval' , 'group-commit' ] ) ;
+
+const MAGIC = 'UKVS' ;
+const FORMAT_VERSION = 3 ;
+const HEADER_SIZE = 256 ;
+
+KVStore.FORMAT_VERSION = FORMAT_VERSION ;
+
 
 
 KVStore.prototype.has = function( key ) {
-	return this.map.has( key ) ;
+	var mapV = this.map.get( key ) ;
+
+	if ( ! mapV ) { return false ; }
+	if ( this.isExpired( mapV ) ) { this.reclaimExpired( key ) ; return false ; }
+
+	return true ;
 } ;
 
 
@@ -69,453 +243,2956 @@ KVStore.prototype.has = function( key ) {
 KVStore.prototype.get = function( key ) {
 	var mapV = this.map.get( key ) ;
 
+	if ( mapV && this.isExpired( mapV ) ) {
+		this.reclaimExpired( key ) ;
+		mapV = undefined ;
+	}
+
 	if ( this.inMemoryValues ) {
 		if ( ! mapV ) { return ; }
-		return mapV.v ;
+		return this.copyValue( mapV.v ) ;
 	}
 
 	if ( ! mapV ) { return Promise.resolved ; }
+	return this.retrieveValue( key , mapV ) ;
+} ;
+
+
+
+// Only used when .inMemoryValues is false, get the value from the cache or from the file
+KVStore.prototype.retrieveValue = function( key , mapV ) {
+	var value ;
+
+	if ( this.cache ) {
+		value = this.cache.get( key ) ;
+		if ( value !== undefined ) { return Promise.resolve( this.copyValue( value ) ) ; }
+	}
+
 	return this.retrieveDB( key , mapV ) ;
+} ;
+
 
+
+KVStore.prototype.setCodec = function( codec ) {
+	if ( typeof codec === 'string' ) {
+		if ( ! codecs[ codec ] ) { throw new Error( "Unknown codec: " + codec ) ; }
+		codec = codecs[ codec ] ;
+	}
+	else if ( typeof codec.encode !== 'function' || typeof codec.decode !== 'function' ) {
+		throw new Error( "A codec should have an .encode() and a .decode() method" ) ;
+	}
+
+	this.codec = codec ;
 } ;
 
 
 
-KVStore.prototype.set = async function( key , value ) {
-	var mapV = this.map.get( key ) ;
+/*
+	Options:
+		ttl: time to live in ms, after that the key is considered as non-existing
+*/
+KVStore.prototype.set = async function( key , value , options = null ) {
+	this.checkWritable() ;
 
-	if ( Buffer.isBuffer( value ) ) {
-		if ( ! this.bufferValues ) {
-			value = value.toString() ;
+	var oldValue ,
+		mapV = this.map.get( key ) ,
+		prepared = this.prepareValue( value ) ,
+		expire = options && options.ttl ? Date.now() + options.ttl : undefined ;
+
+	this.checkEntry( key , prepared.rawValue ) ;
+
+	if ( expire ) { this.expiring.add( key ) ; }
+	else { this.expiring.delete( key ) ; }
+
+	if ( mapV ) {
+		oldValue = this.oldValue( key , mapV ) ;
+		if ( this.inMemoryValues ) { mapV.v  = prepared.value ; }
+		mapV.e = expire ;
+		this.cacheWrite( key , mapV , prepared ) ;
+
+		try {
+			await this.updateDB( key , mapV , prepared.rawValue ) ;
+		}
+		finally {
+			this.cacheWriteDone( mapV ) ;
 		}
+
+		this.emit( 'set' , key , prepared.value , await oldValue ) ;
+		this.startAutoCompact() ;
 	}
 	else {
-		if ( typeof value !== 'string' ) { value = '' + value ; }
+		mapV = this.inMemoryValues ? { v: prepared.value , o: null } : { o: null } ;
+		if ( expire ) { mapV.e = expire ; }
+		this.mapSet( key , mapV ) ;
+		this.cacheWrite( key , mapV , prepared ) ;
 
-		if ( this.bufferValues ) {
-			value = Buffer.from( value ) ;
+		try {
+			await this.insertDB( key , mapV , prepared.rawValue ) ;
+		}
+		finally {
+			this.cacheWriteDone( mapV ) ;
 		}
-	}
 
-	if ( mapV ) {
-		if ( this.inMemoryValues ) { mapV.v  = value ; }
-		await this.updateDB( key , mapV , value ) ;
-	}
-	else {
-		mapV = this.inMemoryValues ? { v: value , o: null } : { o: null } ;
-		this.map.set( key , mapV ) ;
-		await this.insertDB( key , mapV , value ) ;
+		this.emit( 'set' , key , prepared.value , undefined ) ;
 	}
 } ;
 
 
 
-KVStore.prototype.delete = async function( key ) {
-	var offset ,
-		mapV = this.map.get( key ) ;
-
-	if ( mapV ) {
-		this.map.delete( key ) ;
-		await this.deleteDB( key , mapV ) ;
-	}
+// The new value is cached right away, and the entry is marked as being written:
+// a read started before the write would get the old value, it must not be cached (see .retrieveDB()).
+KVStore.prototype.cacheWrite = function( key , mapV , prepared ) {
+	if ( ! this.cache ) { return ; }
+	this.cache.set( key , prepared.value , Buffer.byteLength( prepared.rawValue ) ) ;
+	mapV.w = ( mapV.w || 0 ) + 1 ;
 } ;
 
 
 
-KVStore.prototype.clear = async function() {
-	this.map.clear() ;
-	await this.clearDB() ;
+KVStore.prototype.cacheWriteDone = function( mapV ) {
+	if ( ! this.cache ) { return ; }
+	if ( -- mapV.w <= 0 ) { delete mapV.w ; }
 } ;
 
 
 
-KVStore.prototype.keys = function() {
-	return this.map.keys() ;
+// The value before a change, for the 'set' event. It is only retrieved if someone listens to it.
+// It returns a promise if values are not in memory: the read is queued before the write, so it gets the old value.
+KVStore.prototype.oldValue = function( key , mapV ) {
+	if ( ! this.listenerCount( 'set' ) || this.isExpired( mapV ) ) { return ; }
+	if ( this.inMemoryValues ) { return mapV.v ; }
+	return this.retrieveValue( key , mapV ).catch( () => undefined ) ;
 } ;
 
 
 
-KVStore.prototype.forEach = function( fn ) {
-	var key , mapV ;
+// Return the value as it is kept in memory, and the raw value (string or Buffer) as it is written.
+// With a codec, the value kept is decoded from the raw value: the caller's object is not shared with the store.
+KVStore.prototype.prepareValue = function( value ) {
+	var rawValue ;
 
-	if ( this.inMemoryValues ) {
-		for ( [ key , mapV ] of this.map.entries() ) {
-			fn( mapV.v , key ) ;
+	if ( this.codec ) {
+		rawValue = this.codec.encode( value ) ;
+		return { value: this.decodeValue( rawValue ) , rawValue } ;
+	}
+
+	if ( Buffer.isBuffer( value ) ) {
+		if ( ! this.bufferValues ) {
+			value = value.toString() ;
 		}
 	}
 	else {
-		for ( [ key , mapV ] of this.map.entries() ) {
-			fn( this.retrieveDB( key , mapV ) , key ) ;
+		if ( typeof value !== 'string' ) { value = '' + value ; }
+
+		if ( this.bufferValues ) {
+			value = Buffer.from( value ) ;
 		}
 	}
-} ;
 
+	return { value , rawValue: value } ;
+} ;
 
 
-// Call fn with a non-promise value, fn itself can be async, in that case fn calls are serialized
-KVStore.prototype.asyncForEach = async function( fn ) {
-	var key , mapV ;
 
-	if ( this.inMemoryValues ) {
-		for ( [ key , mapV ] of this.map.entries() ) {
-			await fn( mapV.v , key ) ;
-		}
-	}
-	else {
-		for ( [ key , mapV ] of this.map.entries() ) {
-			await fn( await this.retrieveDB( key , mapV ) , key ) ;
-		}
-	}
+KVStore.prototype.decodeValue = function( rawValue ) {
+	return this.codec.decode( Buffer.isBuffer( rawValue ) ? rawValue : Buffer.from( rawValue ) ) ;
 } ;
 
 
 
-KVStore.prototype.values = function *() {
-	if ( this.inMemoryValues ) {
-		for ( let mapV of this.map.values() ) {
-			yield mapV.v ;
-		}
-	}
-	else {
-		for ( let entry of this.map.entries() ) {
-			yield this.retrieveDB( entry[ 0 ] , entry[ 1 ] ) ;
-		}
-	}
+// Values of the memory or of the cache are given as copies, so the userland can't change them behind the store's back
+KVStore.prototype.copyValue = function( value ) {
+	if ( ! this.codec ) { return value ; }
+	return this.decodeValue( this.codec.encode( value ) ) ;
 } ;
 
 
 
-KVStore.prototype.entries = function *() {
-	if ( this.inMemoryValues ) {
-		for ( let entry of this.map.entries() ) {
-			entry[ 1 ] = entry[ 1 ].v ;
-			yield entry ;
-		}
+// Throw if the key or the value can't be stored, it must be called before anything is changed:
+// once the operations of a write are being built, the allocator state can't be rolled back.
+KVStore.prototype.checkEntry = function( key , rawValue ) {
+	var error ;
+
+	if ( Buffer.byteLength( key ) > MAX_KEY_LENGTH ) {
+		error = new Error( "Keys can't be longer than " + MAX_KEY_LENGTH + " bytes" ) ;
+	}
+	else if ( ( Buffer.isBuffer( rawValue ) ? rawValue.length : Buffer.byteLength( rawValue ) ) > MAX_VALUE_LENGTH ) {
+		error = new Error( "Values can't be longer than " + MAX_VALUE_LENGTH + " bytes" ) ;
 	}
 	else {
-		for ( let entry of this.map.entries() ) {
-			entry[ 1 ] = this.retrieveDB( entry[ 0 ] , entry[ 1 ] ) ;
-			yield entry ;
-		}
+		return ;
 	}
+
+	error.code = 'tooLong' ;
+	throw error ;
 } ;
 
 
 
-// DB part
+// Set the TTL of an existing key, or remove it if ttl is null. Return false if the key does not exist.
+KVStore.prototype.expire = async function( key , ttl ) {
+	this.checkWritable() ;
+	if ( ! this.has( key ) ) { return false ; }
 
+	var value = await this.get( key ) ;
 
+	// The value is already encoded/converted, but doing it twice is harmless
+	await this.set( key , value , { ttl } ) ;
+	return true ;
+} ;
 
-/*
-	Entry structure:
-	Flags (1B) - Key LPS (1-2B) - Value LPS (2-4B) - Key - Value
 
-	Flags structure:
-	1bit: free block
-	1bit: large LPS
-	1bit: +50% block size
-	5bits: 16 * 2^n block size
-*/
 
-const FLAG_FREE_BLOCK = 128 ;
-const FLAG_LARGE_LPS = 64 ;
-const MASK_NON_SIZE = FLAG_FREE_BLOCK | FLAG_LARGE_LPS ;
-const FLAG_PLUS_HALF_SIZE = 32 ;
-const MASK_POWER_OF_2_SIZE = 31 ;
-const MASK_SIZE = FLAG_PLUS_HALF_SIZE | MASK_POWER_OF_2_SIZE ;
+// Throw if the store was opened in read-only mode
+KVStore.prototype.checkWritable = function() {
+	if ( this.closed ) { throw this.closedError() ; }
 
-KVStore.prototype.extractBlockSize = flags => 2 ** ( flags & MASK_POWER_OF_2_SIZE ) * ( flags & FLAG_PLUS_HALF_SIZE ? 24 : 16 ) ;
+	if ( this.readOnly ) {
+		let error = new Error( "DB file '" + this.filePath + "' is opened in read-only mode" ) ;
+		error.code = 'readOnly' ;
+		throw error ;
+	}
+} ;
 
 
 
-KVStore.prototype.blockSizeToFlags =
-KVStore.prototype.blockSize = function( size , toFlags = null ) {
-	var powerOf2 , powerOf2AndHalf , blockSize , half = false ;
+KVStore.prototype.closedError = function() {
+	var error = new Error( "The store of DB file '" + this.filePath + "' is closed" ) ;
+	error.code = 'closed' ;
+	return error ;
+} ;
 
-	powerOf2 = Math.ceil( Math.log2( size ) ) ;
-	powerOf2AndHalf = Math.ceil( Math.log2( size * 2 / 3 ) ) ;
 
-	if ( powerOf2 === powerOf2AndHalf ) {
-		blockSize = 2 ** powerOf2 ;
-	}
-	else {
-		powerOf2 = powerOf2AndHalf ;
-		blockSize = ( 2 ** powerOf2 ) * 1.5 ;
-		half = true ;
-	}
 
-	if ( powerOf2 < 4 ) {
-		powerOf2 = 4 ;
-		half = false ;
-		blockSize = 16 ;
-	}
+KVStore.prototype.isExpired = function( mapV , now = Date.now() ) {
+	return !! mapV.e && mapV.e <= now ;
+} ;
 
-	if ( toFlags === null ) { return blockSize ; }
 
-	if ( powerOf2 - 4 > 31 ) {
-		throw new Error( "Block size too big: " + blockSize ) ;
-	}
 
-	toFlags &= MASK_NON_SIZE ;	// reset the 6 lower bits
-	toFlags |= Math.max( 0 , powerOf2 - 4 ) ;
-	if ( half ) { toFlags |= FLAG_PLUS_HALF_SIZE ; }
+// Delete the key if it is expired, in the background: if it fails, the sweeper or the next load will do it
+KVStore.prototype.reclaimExpired = function( key ) {
+	var mapV = this.map.get( key ) ;
 
-	return toFlags ;
+	// A read-only store just hides it
+	if ( mapV && this.isExpired( mapV ) && ! this.readOnly ) {
+		this.delete( key ).catch( () => undefined ) ;
+	}
 } ;
 
 
 
-const INSERT_SIZE_OPTIMIZATION = 1.2 ;
-
-KVStore.prototype.entryBuffer = function( key , value , existingSize = 0 , mapVToPopulate ) {
-	var offset , flags , blockSize , buffer ,
-		valueIsBuffer = Buffer.isBuffer( value ) ,
-		keyLength = Buffer.byteLength( key ) ,
-		valueLength = valueIsBuffer ? value.length : Buffer.byteLength( value ) ,
-		largeLPS = keyLength > 255 || valueLength > 65535 ,
-		entrySize = 1 + ( largeLPS ? 6 : 3 ) + keyLength + valueLength ;
+// Delete all expired keys, return how many were deleted
+// Count keys expired but not reclaimed yet
+KVStore.prototype.countExpired = function() {
+	var key , mapV , now = Date.now() , count = 0 ;
 
-	if ( entrySize <= existingSize ) {
-		blockSize = existingSize ;
-		flags = this.blockSizeToFlags( blockSize , 0 ) ;
-	}
-	else {
-		// If there is no existingSize, this is an insert, and we have to add a small free space for an entry to grow,
-		// if it has an entrySize bigger than current size, we have to move to another location and still allow
-		// some space to grow...
-		flags = this.blockSizeToFlags( entrySize * INSERT_SIZE_OPTIMIZATION , 0 ) ;
-		blockSize = this.extractBlockSize( flags ) ;
+	for ( key of this.expiring ) {
+		mapV = this.map.get( key ) ;
+		if ( mapV && this.isExpired( mapV , now ) ) { count ++ ; }
 	}
 
-	buffer = Buffer.allocUnsafe( blockSize ) ;
-
-	if ( largeLPS ) { flags |= FLAG_LARGE_LPS ; }
+	return count ;
+} ;
 
-	buffer.writeUInt8( flags , 0 ) ;
 
-	if ( largeLPS ) {
-		buffer.writeUInt16BE( keyLength , 1 ) ;
-		buffer.writeUInt32BE( valueLength , 3 ) ;
-		offset = 7 ;
-	}
-	else {
-		buffer.writeUInt8( keyLength , 1 ) ;
-		buffer.writeUInt16BE( valueLength , 2 ) ;
-		offset = 4 ;
-	}
 
-	buffer.write( key , offset , keyLength ) ;
-	offset += keyLength ;
+KVStore.prototype.sweep = async function() {
+	var key , mapV , now = Date.now() , expired = [] ;
 
-	if ( valueIsBuffer ) { value.copy( buffer , offset ) ; }
-	else { buffer.write( value , offset , valueLength ) ; }
+	if ( this.readOnly ) { return 0 ; }
 
-	if ( mapVToPopulate ) {
-		// = inMemoryValues is false
-		mapVToPopulate.vo = offset ;
-		mapVToPopulate.vs = valueLength ;
+	for ( key of this.expiring ) {
+		mapV = this.map.get( key ) ;
+		if ( mapV && this.isExpired( mapV , now ) ) { expired.push( key ) ; }
 	}
 
-	offset += valueLength ;
+	for ( key of expired ) {
+		mapV = this.map.get( key ) ;
 
-	// Fill with NUL the remaining bytes of the block, avoid having older data (maybe sensitive) remaining
-	if ( blockSize > entrySize ) { buffer.fill( 0 , offset ) ; }
+		// Check again, it may have been set again in the meantime
+		if ( mapV && this.isExpired( mapV , now ) ) { await this.delete( key ) ; }
+	}
 
-	return buffer ;
+	return expired.length ;
 } ;
 
 
 
-// Open the DB file
-KVStore.prototype.openDB = async function() {
-	if ( ! this.filePath ) { return null ; }
+KVStore.prototype.startSweeper = function( interval ) {
+	this.stopSweeper() ;
+	this.sweepTimer = setInterval( () => this.sweep().catch( () => undefined ) , interval ) ;
 
-	try {
-		this.file = await fsPromise.open( this.filePath , 'r+' ) ;
-		let stats = await this.file.stat() ;
-		this.eof = stats.size ;
-	}
-	catch ( error ) {
-		this.file = await fsPromise.open( this.filePath , 'w+' ) ;
-		this.eof = 0 ;
-	}
+	// Don't keep the process alive just for that
+	this.sweepTimer.unref() ;
 } ;
 
 
 
-// Load the whole DB in memory
-KVStore.prototype.loadDB = async function() {
-	if ( ! this.filePath ) { return null ; }
-
-	while ( this.inProgress ) { await this.inProgress ; }
+KVStore.prototype.stopSweeper = function() {
+	if ( ! this.sweepTimer ) { return ; }
+	clearInterval( this.sweepTimer ) ;
+	this.sweepTimer = null ;
+} ;
 
-	this.inProgress = new Promise() ;
 
-	if ( ! this.file ) { await this.openDB() ; }
 
-	var offset = 0 , valueOffset , subOffset ,
-		flags , blockSize ,
-		key , value , keyLength , valueLength , remainingReadLength ,
-		oldBlockBuffer , newBufferSize ,
-		blockBuffer = Buffer.allocUnsafe( 16 ) ;
+KVStore.prototype.delete = async function( key ) {
+	this.checkWritable() ;
 
-	//console.log( "Load file, EOF:" , this.eof ) ;
+	var offset ,
+		mapV = this.map.get( key ) ;
 
-	while ( offset < this.eof ) {
-		// Read 7 bytes: the flags + the 2 LPS
-		await this.file.read( blockBuffer , 0 , 7 , offset ) ;
-		flags = blockBuffer.readUInt8() ;
-		//console.log( "--- New Block ---" ) ;
-		blockSize = this.extractBlockSize( flags ) ;
+	if ( mapV ) {
+		this.mapDelete( key ) ;
+		this.expiring.delete( key ) ;
+		this.pendingDeletes.add( mapV ) ;
 
-		if ( flags & FLAG_FREE_BLOCK ) {
-			//console.log( "  *** free block, offset:" , offset , "size:" , blockSize , "flags:" , flags ) ;
-			if ( ! this.freeBlocks[ blockSize ] ) { this.freeBlocks[ blockSize ] = [] ; }
-			this.freeBlocks[ blockSize ].push( offset ) ;
+		try {
+			await this.deleteDB( key , mapV ) ;
+		}
+		finally {
+			this.pendingDeletes.delete( mapV ) ;
 		}
-		else {
-			//console.log( "  offset:" , offset , "size:" , blockSize , "flags:" , flags , flags & FLAG_LARGE_LPS ? "large LPS" : "small LPS" ) ;
-			//console.log( "  block" , blockBuffer ) ;
-
-			if ( flags & FLAG_LARGE_LPS ) {
-				keyLength = blockBuffer.readUInt16BE( 1 ) ;
-				valueLength = blockBuffer.readUInt32BE( 3 ) ;
-				subOffset = 7 ;
-				remainingReadLength = 0 ;
-				//console.log( "  large LPS keyLength:" , keyLength , "valueLength:" , valueLength ) ;
-			}
-			else {
-				keyLength = blockBuffer.readUInt8( 1 ) ;
-				valueLength = blockBuffer.readUInt16BE( 2 ) ;
-				subOffset = 4 ;
-				remainingReadLength = -3 ;
-				//console.log( "  small LPS keyLength:" , keyLength , "valueLength:" , valueLength ) ;
-			}
 
-			if ( this.inMemoryValues ) {
-				remainingReadLength += keyLength + valueLength ;
-			}
-			else {
-				remainingReadLength += keyLength ;
-			}
+		this.emit( 'delete' , key ) ;
+		this.startAutoCompact() ;
+	}
+} ;
 
-			if ( blockBuffer.length < 7 + remainingReadLength ) {
-				// Use .blockSize() to avoid allocating more and more buffer everytime it is increased by 1
-				newBufferSize = this.blockSize( 7 + remainingReadLength ) ;
-				oldBlockBuffer = blockBuffer ;
-				blockBuffer = Buffer.allocUnsafe( newBufferSize ) ;
 
-				// Don't forget to copy back the first 7 bytes
-				oldBlockBuffer.copy( blockBuffer , 0 , 0 , 7 ) ;
-				//console.log( "  !! allocated a new buffer of size:" , newBufferSize ) ;
-			}
 
-			//console.log( "  remainingReadLength:", remainingReadLength , "offset + 7:", offset + 7 ) ;
-			if ( remainingReadLength > 0 ) {
-				// Read the block, but don't read again the flags + LPS bytes
-				await this.file.read( blockBuffer , 7 , remainingReadLength , offset + 7 ) ;
-			}
+/*
+	Apply many operations at once: they all become visible in memory at the same time,
+	and they are written to the DB file in one go.
+	The write is atomic on disk: it is recorded in the journal first. Without the 'journal' option,
+	a journal file is still used for batches, at the cost of an extra fsync of the DB file per batch.
+	Operations are objects like:
+		{ type: 'set' , key , value , [ttl] , [expire] }	expire: a timestamp, instead of a ttl
+		{ type: 'delete' , key }
+*/
+KVStore.prototype.batch = async function( operations ) {
+	var operation , mapV , prepared , expire ,
+		changes = [] ,
+		backup = new Map() ,
+		batchValues = new Map() ;	// Values set by previous operations of the batch, for events
+
+	this.checkWritable() ;
+
+	// Check and prepare everything first: if something throws, nothing is changed
+	prepared = operations.map( op => {
+		if ( ! op || typeof op.key !== 'string' ) { throw new Error( "Batch operations should have a string key" ) ; }
+
+		if ( op.type === 'set' ) {
+			let preparedValue = this.prepareValue( op.value ) ;
+			this.checkEntry( op.key , preparedValue.rawValue ) ;
+			return preparedValue ;
+		}
 
-			//console.log( "  block" , blockBuffer ) ;
-			//console.log( "  partial block" , blockBuffer.slice( 0 , 7 + remainingReadLength ) ) ;
-			key = blockBuffer.toString( 'utf8' , subOffset , subOffset + keyLength ) ;
-			subOffset += keyLength ;
+		if ( op.type !== 'delete' ) { throw new Error( "Unknown batch operation type: " + op.type ) ; }
+		return null ;
+	} ) ;
 
-			if ( this.inMemoryValues ) {
-				if ( this.bufferValues ) {
-					// This is the correct way to slice+copy, there is no dedicated API
-					// https://nodejs.org/dist/latest-v12.x/docs/api/buffer.html#buffer_buf_slice_start_end
-					value = Uint8Array.prototype.slice.call( blockBuffer , subOffset , subOffset + valueLength ) ;
-				}
-				else {
-					value = blockBuffer.toString( 'utf8' , subOffset , subOffset + valueLength ) ;
-				}
+	for ( let index = 0 ; index < operations.length ; index ++ ) {
+		operation = operations[ index ] ;
+		mapV = this.map.get( operation.key ) ;
 
-				//console.log( "  >>> key:" , key , "; value:" , value ) ;
+		// Save the in-memory state of the key the first time it is touched, to restore it if the write fails
+		if ( ! backup.has( operation.key ) ) {
+			backup.set( operation.key , mapV && { mapV , copy: Object.assign( {} , mapV ) , expiring: this.expiring.has( operation.key ) } ) ;
+		}
 
-				this.map.set( key , { v: value , o: offset , s: blockSize } ) ;
+		if ( operation.type === 'set' ) {
+			expire = operation.expire || ( operation.ttl ? Date.now() + operation.ttl : undefined ) ;
+
+			if ( expire ) { this.expiring.add( operation.key ) ; }
+			else { this.expiring.delete( operation.key ) ; }
+
+			if ( mapV ) {
+				let oldValue = batchValues.has( operation.key ) ? batchValues.get( operation.key ) : this.oldValue( operation.key , mapV ) ;
+				if ( this.inMemoryValues ) { mapV.v  = prepared[ index ].value ; }
+				mapV.e = expire ;
+				changes.push( {
+					type: 'update' ,
+					key: operation.key ,
+					mapV ,
+					rawValue: prepared[ index ].rawValue ,
+					value: prepared[ index ].value ,
+					oldValue
+				} ) ;
 			}
 			else {
-				//console.log( "  >>> key:" , key ) ;
-				// For faster read, we need to save the value offset and valueLength to avoid reading
-				// the flags and both LPS before doing the actual value read (1 I/O instead of 2 I/O)
-				this.map.set( key , {
-					o: offset , s: blockSize , vo: subOffset , vs: valueLength
+				mapV = this.inMemoryValues ? { v: prepared[ index ].value , o: null } : { o: null } ;
+				if ( expire ) { mapV.e = expire ; }
+				this.mapSet( operation.key , mapV ) ;
+				changes.push( {
+					type: 'insert' ,
+					key: operation.key ,
+					mapV ,
+					rawValue: prepared[ index ].rawValue ,
+					value: prepared[ index ].value
 				} ) ;
 			}
+
+			this.cacheWrite( operation.key , mapV , prepared[ index ] ) ;
+			batchValues.set( operation.key , prepared[ index ].value ) ;
+		}
+		else if ( mapV ) {
+			this.mapDelete( operation.key ) ;
+			this.expiring.delete( operation.key ) ;
+			this.pendingDeletes.add( mapV ) ;
+			changes.push( { type: 'delete' , key: operation.key , mapV } ) ;
+			batchValues.delete( operation.key ) ;
 		}
+	}
 
-		offset += blockSize ;
+	try {
+		await this.batchDB( changes ) ;
+	}
+	catch ( error ) {
+		this.restoreBatchBackup( backup ) ;
+		throw error ;
+	}
+	finally {
+		for ( let change of changes ) {
+			if ( change.type === 'delete' ) { this.pendingDeletes.delete( change.mapV ) ; }
+			else { this.cacheWriteDone( change.mapV ) ; }
+		}
+	}
+
+	for ( let change of changes ) {
+		if ( change.type === 'delete' ) { this.emit( 'delete' , change.key ) ; }
+		else { this.emit( 'set' , change.key , change.value , await change.oldValue ) ; }
 	}
 
-	this.inProgress.resolve() ;
-	this.inProgress = null ;
+	this.startAutoCompact() ;
 } ;
 
 
 
-// Only used when .inMemoryValues is false
-KVStore.prototype.retrieveDB = async function( key , mapV ) {
-	if ( ! this.filePath ) { return null ; }
+KVStore.prototype.restoreBatchBackup = function( backup ) {
+	for ( let [ key , saved ] of backup ) {
+		if ( ! saved ) {
+			this.mapDelete( key ) ;
+			this.expiring.delete( key ) ;
+			continue ;
+		}
+
+		// Only restore the value and the expire time, the block location is up to date
+		if ( 'v' in saved.copy ) { saved.mapV.v = saved.copy.v ; }
+		if ( this.cache ) { this.cache.delete( key ) ; }
+		saved.mapV.e = saved.copy.e ;
+		this.mapSet( key , saved.mapV ) ;
 
-	while ( this.inProgress ) { await this.inProgress ; }
+		if ( saved.expiring ) { this.expiring.add( key ) ; }
+		else { this.expiring.delete( key ) ; }
+	}
+} ;
 
-	this.inProgress = new Promise() ;
 
-	if ( ! this.file ) { await this.openDB() ; }
 
-	var value = Buffer.allocUnsafe( mapV.vs ) ;
-	await this.file.read( value , 0 , mapV.vs , mapV.o + mapV.vo ) ;
+// Run the callback with a transaction object, and commit its changes as a batch, unless the callback throws.
+// Return what the callback returned.
+KVStore.prototype.transaction = async function( fn ) {
+	var result , transaction = new Transaction( this ) ;
 
-	if ( ! this.bufferValues ) {
-		value = value.toString( 'utf8' ) ;
+	try {
+		result = await fn( transaction ) ;
+	}
+	catch ( error ) {
+		transaction.rollback() ;
+		throw error ;
 	}
 
-	//console.log( "  >>> retrieve key:" , key , "; value:" , value ) ;
+	await transaction.commit() ;
+	return result ;
+} ;
+
 
-	this.inProgress.resolve() ;
-	this.inProgress = null ;
 
-	return value ;
+KVStore.prototype.clear = async function() {
+	this.checkWritable() ;
+	this.mapClear() ;
+	this.abortValueStreams( null , 'changed' ) ;
+	this.expiring.clear() ;
+	await this.clearDB() ;
+	this.emit( 'clear' ) ;
 } ;
 
 
 
-KVStore.prototype.insertDB = async function( key , mapV , value ) {
-	if ( ! this.filePath ) { return null ; }
+/*
+	Call the listener for each change of a key starting with the prefix, with a change object:
+		{ type: 'set' , key , value , oldValue }
+		{ type: 'delete' , key }
+		{ type: 'clear' }	all keys are gone, whatever their prefix
+	Return a function that stops watching.
+*/
+KVStore.prototype.watch = function( prefix , listener ) {
+	var onSet = ( key , value , oldValue ) => {
+		if ( key.startsWith( prefix ) ) {
+			listener( {
+				type: 'set' , key , value , oldValue
+			} ) ;
+		}
+	} ;
 
-	while ( this.inProgress ) { await this.inProgress ; }
+	var onDelete = key => {
+		if ( key.startsWith( prefix ) ) { listener( { type: 'delete' , key } ) ; }
+	} ;
 
-	this.inProgress = new Promise() ;
+	var onClear = () => listener( { type: 'clear' } ) ;
 
-	if ( ! this.file ) { await this.openDB() ; }
+	this.on( 'set' , onSet ) ;
+	this.on( 'delete' , onDelete ) ;
+	this.on( 'clear' , onClear ) ;
 
-	var entryBuffer = this.entryBuffer( key , value , undefined , ! this.inMemoryValues && mapV ) ;
-	//console.log( entryBuffer ) ;
+	return () => {
+		this.off( 'set' , onSet ) ;
+		this.off( 'delete' , onDelete ) ;
+		this.off( 'clear' , onClear ) ;
+	} ;
+} ;
 
-	await this.insertEntryBuffer( entryBuffer , mapV ) ;
 
-	this.inProgress.resolve() ;
-	this.inProgress = null ;
-} ;
 
+// All changes to the map go through those, to keep the ordered keys in sync
 
+KVStore.prototype.mapSet = function( key , mapV ) {
+	this.map.set( key , mapV ) ;
+	if ( this.backupChanges ) { this.backupChanges.add( key ) ; }
+	if ( this.orderedKeys ) { this.orderedKeys.add( key ) ; }
+} ;
 
-KVStore.prototype.insertEntryBuffer = async function( entryBuffer , mapV ) {
-	if ( this.freeBlocks[ entryBuffer.length ] && this.freeBlocks[ entryBuffer.length ].length ) {
-		// There is a free block, use it!
-		mapV.o = this.freeBlocks[ entryBuffer.length ].pop() ;
-		//console.log( "re-use a free-block at offset:" , mapV.o ) ;
+KVStore.prototype.mapDelete = function( key ) {
+	this.map.delete( key ) ;
+	if ( this.orderedKeys ) { this.orderedKeys.delete( key ) ; }
+	if ( this.cache ) { this.cache.delete( key ) ; }
+} ;
+
+KVStore.prototype.mapClear = function() {
+	this.map.clear() ;
+	if ( this.orderedKeys ) { this.orderedKeys.clear() ; }
+	if ( this.cache ) { this.cache.clear() ; }
+} ;
+
+
+
+// Iterate [ key , mapV ], in key order if the 'orderedKeys' option is set, or in insertion order
+KVStore.prototype.mapEntries = function *() {
+	if ( ! this.orderedKeys ) {
+		yield * this.map.entries() ;
+		return ;
+	}
+
+	for ( let key of this.orderedKeys ) {
+		yield [ key , this.map.get( key ) ] ;
+	}
+} ;
+
+
+
+// Iterators skip expired keys
+
+
+
+KVStore.prototype.keys = function *() {
+	var now = Date.now() ;
+
+	for ( let [ key , mapV ] of this.mapEntries() ) {
+		if ( ! this.isExpired( mapV , now ) ) { yield key ; }
+	}
+} ;
+
+
+
+KVStore.prototype.forEach = function( fn ) {
+	var key , mapV , now = Date.now() ;
+
+	if ( this.inMemoryValues ) {
+		for ( [ key , mapV ] of this.mapEntries() ) {
+			if ( this.isExpired( mapV , now ) ) { continue ; }
+			fn( this.copyValue( mapV.v ) , key ) ;
+		}
+	}
+	else {
+		for ( [ key , mapV ] of this.mapEntries() ) {
+			if ( this.isExpired( mapV , now ) ) { continue ; }
+			fn( this.retrieveValue( key , mapV ) , key ) ;
+		}
+	}
+} ;
+
+
+
+// Call fn with a non-promise value, fn itself can be async, in that case fn calls are serialized
+KVStore.prototype.asyncForEach = async function( fn ) {
+	var key , mapV , now = Date.now() ;
+
+	if ( this.inMemoryValues ) {
+		for ( [ key , mapV ] of this.mapEntries() ) {
+			if ( this.isExpired( mapV , now ) ) { continue ; }
+			await fn( this.copyValue( mapV.v ) , key ) ;
+		}
+	}
+	else {
+		for ( [ key , mapV ] of this.mapEntries() ) {
+			if ( this.isExpired( mapV , now ) ) { continue ; }
+			await fn( await this.retrieveValue( key , mapV ) , key ) ;
+		}
+	}
+} ;
+
+
+
+KVStore.prototype.values = function *() {
+	var now = Date.now() ;
+
+	if ( this.inMemoryValues ) {
+		for ( let [ , mapV ] of this.mapEntries() ) {
+			if ( this.isExpired( mapV , now ) ) { continue ; }
+			yield this.copyValue( mapV.v ) ;
+		}
+	}
+	else {
+		for ( let entry of this.mapEntries() ) {
+			if ( this.isExpired( entry[ 1 ] , now ) ) { continue ; }
+			yield this.retrieveValue( entry[ 0 ] , entry[ 1 ] ) ;
+		}
+	}
+} ;
+
+
+
+/*
+	Iterate [ key , value ] in key order, like .entries(), options:
+		gte, gt: lower bound, inclusive or exclusive
+		lte, lt: upper bound, inclusive or exclusive
+		reverse: from the upper bound down to the lower bound
+		limit: maximum number of entries
+	It is fast with the 'orderedKeys' option, without it all keys are sorted first.
+*/
+KVStore.prototype.range = function *( options = {} ) {
+	var key , mapV , keys ,
+		count = 0 ,
+		limit = options.limit !== undefined ? options.limit : Infinity ,
+		now = Date.now() ;
+
+	if ( limit <= 0 ) { return ; }
+
+	if ( this.orderedKeys ) {
+		keys = this.orderedKeys.range( options ) ;
+	}
+	else {
+		keys = new SkipList() ;
+		for ( key of this.map.keys() ) { keys.add( key ) ; }
+		keys = keys.range( options ) ;
+	}
+
+	for ( key of keys ) {
+		mapV = this.map.get( key ) ;
+		if ( ! mapV || this.isExpired( mapV , now ) ) { continue ; }
+
+		yield [ key , this.inMemoryValues ? this.copyValue( mapV.v ) : this.retrieveValue( key , mapV ) ] ;
+		if ( ++ count >= limit ) { return ; }
+	}
+} ;
+
+
+
+// Iterate [ key , value ] of keys starting with the prefix, in key order, options are those of .range() except bounds
+KVStore.prototype.prefix = function( prefix , options = {} ) {
+	var upperBound = prefixUpperBound( prefix ) ,
+		rangeOptions = Object.assign( {} , options , {
+			gte: prefix , gt: undefined , lte: undefined , lt: undefined
+		} ) ;
+
+	if ( upperBound !== null ) { rangeOptions.lt = upperBound ; }
+
+	return this.range( rangeOptions ) ;
+} ;
+
+
+
+// The smallest string greater than all strings starting with the prefix, null if there is none
+function prefixUpperBound( prefix ) {
+	var index = prefix.length - 1 ;
+
+	while ( index >= 0 && prefix.charCodeAt( index ) === 0xffff ) { index -- ; }
+	if ( index < 0 ) { return null ; }
+
+	return prefix.slice( 0 , index ) + String.fromCharCode( prefix.charCodeAt( index ) + 1 ) ;
+}
+
+
+
+KVStore.prototype.entries = function *() {
+	var now = Date.now() ;
+
+	if ( this.inMemoryValues ) {
+		for ( let entry of this.mapEntries() ) {
+			if ( this.isExpired( entry[ 1 ] , now ) ) { continue ; }
+			entry[ 1 ] = this.copyValue( entry[ 1 ].v ) ;
+			yield entry ;
+		}
+	}
+	else {
+		for ( let entry of this.mapEntries() ) {
+			if ( this.isExpired( entry[ 1 ] , now ) ) { continue ; }
+			entry[ 1 ] = this.retrieveValue( entry[ 0 ] , entry[ 1 ] ) ;
+			yield entry ;
+		}
+	}
+} ;
+
+
+
+/*
+	Return a readable stream of the value of a key, as a Buffer, or null if the key does not exist.
+	With a codec, this is the encoded value. When values are not in memory, the value is read chunk by chunk,
+	and if the entry is changed while streaming, the stream is destroyed with an error having code: 'changed'.
+	Options:
+		chunkSize: the size of each read (default: 64KB)
+		highWaterMark: see Node's Readable
+*/
+KVStore.prototype.createValueReadStream = function( key , options = {} ) {
+	var readStream , inflateStream ,
+		mapV = this.map.get( key ) ;
+
+	if ( ! mapV || ! this.has( key ) ) { return null ; }
+
+	if ( this.inMemoryValues ) {
+		return stream.Readable.from( [ Buffer.from( this.prepareValue( mapV.v ).rawValue ) ] , { objectMode: false } ) ;
+	}
+
+	readStream = new ValueReadStream( this , key , mapV , {
+		chunkSize: options.chunkSize || STREAM_CHUNK_SIZE ,
+		highWaterMark: options.highWaterMark
+	} ) ;
+
+	if ( ! mapV.z ) { return readStream ; }
+
+	inflateStream = mapV.z === XFLAG_BROTLI ? zlib.createBrotliDecompress() : zlib.createInflateRaw() ;
+	return stream.pipeline( readStream , inflateStream , () => undefined ) ;
+} ;
+
+
+
+/*
+	Return a writable stream setting the value of a key once it ends, as if .set() was called with the whole value.
+	With a codec, this is the encoded value. When values are not in memory, the size should be known in advance,
+	the value is written chunk by chunk, without compression, and the 'set' event has an undefined value and old value.
+	Options:
+		size: the size of the value in bytes, mandatory if values are not in memory
+		ttl: see .set()
+		highWaterMark: see Node's Writable
+*/
+KVStore.prototype.createValueWriteStream = function( key , options = {} ) {
+	this.checkWritable() ;
+
+	if ( this.inMemoryValues || ! this.filePath ) {
+		// The value ends up in memory anyway
+		let chunks = [] ;
+
+		return new stream.Writable( {
+			highWaterMark: options.highWaterMark ,
+			write: ( chunk , encoding , callback ) => {
+				chunks.push( chunk ) ;
+				callback() ;
+			} ,
+			final: callback => {
+				var value = Buffer.concat( chunks ) ;
+				if ( this.codec ) { value = this.codec.decode( value ) ; }
+				this.set( key , value , options ).then( () => callback() , callback ) ;
+			}
+		} ) ;
+	}
+
+	if ( ! Number.isSafeInteger( options.size ) || options.size < 0 ) {
+		throw new Error( "The 'size' option is mandatory to stream a value into the DB file" ) ;
+	}
+
+	return new ValueWriteStream( this , key , options ) ;
+} ;
+
+
+
+// Destroy value streams in progress: the readers of that mapV, or all streams if it's null
+KVStore.prototype.abortValueStreams = function( mapV , code ) {
+	var valueStream , error ;
+
+	if ( ! this.valueReadStreams.size && ( mapV || ! this.valueWriteStreams.size ) ) { return ; }
+
+	error = new Error( code === 'closed' ? "The store was closed while streaming a value" : "The entry changed while streaming its value" ) ;
+	error.code = code ;
+
+	for ( valueStream of this.valueReadStreams ) {
+		if ( ! mapV || valueStream.mapV === mapV ) { valueStream.destroy( error ) ; }
+	}
+
+	if ( mapV ) { return ; }
+
+	for ( valueStream of this.valueWriteStreams ) {
+		// Its header write is already queued, before whatever is aborting
+		if ( valueStream.committing ) { continue ; }
+
+		// The reserved block is lost anyway (truncated, or found as a free block at the next load)
+		valueStream.offset = null ;
+		valueStream.destroy( error ) ;
+	}
+} ;
+
+
+
+const pipeline = util.promisify( stream.pipeline ) ;
+
+/*
+	Write all live entries to a writable stream in a portable format, and end it. Return the number of entries.
+	It is a consistent snapshot of the store as it was when called, writes can go on meanwhile.
+	Options:
+		format: 'ndjson' (the default) or 'binary', see lib/exportFormats.js
+*/
+KVStore.prototype.export = async function( writable , options = {} ) {
+	var snapshot ,
+		format = exportFormats[ options.format || 'ndjson' ] ;
+
+	if ( ! format || ! format.entry ) { throw new Error( "Unknown export format: " + options.format ) ; }
+
+	snapshot = this.snapshot() ;
+
+	try {
+		await pipeline( stream.Readable.from( this.exportChunks( snapshot , format ) , { objectMode: false } ) , writable ) ;
+	}
+	finally {
+		this.snapshots.delete( snapshot ) ;
+		snapshot.pending = snapshot.saved = null ;
+	}
+
+	return snapshot.entries.length ;
+} ;
+
+
+
+// List live entries as [ key , value (or mapV if values are not in memory) , expire ]
+// A raw snapshot always has the mapV, it keeps whole blocks instead of values (see .backup())
+KVStore.prototype.snapshot = function( raw = false ) {
+	var key , mapV ,
+		now = Date.now() ,
+		byMapV = raw || ! this.inMemoryValues ,
+		snapshot = {
+			entries: [] , raw , pending: null , saved: null
+		} ;
+
+	for ( [ key , mapV ] of this.mapEntries() ) {
+		if ( this.isExpired( mapV , now ) ) { continue ; }
+		snapshot.entries.push( [ key , byMapV ? mapV : mapV.v , mapV.e || 0 ] ) ;
+	}
+
+	if ( byMapV ) {
+		// mapV -> key of entries not exported yet, and mapV -> value (or block) of those that changed since the snapshot
+		snapshot.pending = new Map( snapshot.entries.map( entry => [ entry[ 1 ] , entry[ 0 ] ] ) ) ;
+		snapshot.saved = new Map() ;
+		this.snapshots.add( snapshot ) ;
+	}
+
+	return snapshot ;
+} ;
+
+
+
+KVStore.prototype.exportChunks = async function *( snapshot , format ) {
+	yield format.header() ;
+
+	for ( let [ key , value , expire ] of snapshot.entries ) {
+		value = this.inMemoryValues ? this.prepareValue( value ).rawValue : await this.snapshotValue( snapshot , key , value ) ;
+		yield format.entry( key , value , expire ) ;
+	}
+
+	yield format.end( snapshot.entries.length ) ;
+} ;
+
+
+
+// The raw value of a mapV as it was when the snapshot was taken
+KVStore.prototype.snapshotValue = function( snapshot , key , mapV ) {
+	return this.ioQueue.read( async () => {
+		var value = snapshot.saved.get( mapV ) ;
+
+		if ( value ) {
+			snapshot.saved.delete( mapV ) ;
+		}
+		else {
+			await this.ensureOpen() ;
+			value = await this.readValue( key , mapV ) ;
+		}
+
+		snapshot.pending.delete( mapV ) ;
+		if ( value instanceof Error ) { throw value ; }
+
+		return this.bufferValues || this.codec ? value : value.toString( 'utf8' ) ;
+	} ) ;
+} ;
+
+
+
+// Called before an entry is changed in the DB file, its value is kept for exports that did not output it yet
+KVStore.prototype.preserveForSnapshots = function( mapV ) {
+	if ( ! this.snapshots.size || mapV.o === null ) { return ; }
+
+	for ( let snapshot of this.snapshots ) {
+		if ( snapshot.pending.has( mapV ) && ! snapshot.saved.has( mapV ) ) {
+			snapshot.saved.set( mapV , null ) ;
+
+			// Copy where the value is now, the mapV is about to change
+			this.snapshotReads.push( {
+				snapshot ,
+				mapV ,
+				location: {
+					o: mapV.o , s: mapV.s , vo: mapV.vo , vs: mapV.vs , z: mapV.z , x: mapV.x
+				}
+			} ) ;
+		}
+	}
+} ;
+
+
+
+// Run before a write, read the old values listed by .preserveForSnapshots()
+KVStore.prototype.readSnapshotValues = async function() {
+	var read , value ,
+		reads = this.snapshotReads ;
+
+	this.snapshotReads = [] ;
+
+	for ( read of reads ) {
+		// The export is over
+		if ( ! read.snapshot.saved ) { continue ; }
+
+		try {
+			if ( read.snapshot.raw ) {
+				value = Buffer.allocUnsafe( read.location.s ) ;
+				await this.file.read( value , 0 , value.length , read.location.o ) ;
+			}
+			else {
+				value = await this.readValue( read.snapshot.pending.get( read.mapV ) , read.location ) ;
+			}
+		}
+		catch ( error ) {
+			// It's the export that fails, not the write
+			value = error ;
+		}
+
+		read.snapshot.saved.set( read.mapV , value ) ;
+	}
+} ;
+
+
+
+const IMPORT_BATCH_SIZE = 1000 ;
+const IMPORT_BATCH_BYTES = 4 * 1024 * 1024 ;
+
+/*
+	Set all entries of an export read from a readable stream (see .export()), return the number of entries written.
+	Existing keys are overwritten, others are kept, already expired entries are skipped (and not counted).
+	Entries are applied by batches: if the export is malformed or truncated, what comes before is imported.
+*/
+KVStore.prototype.import = async function( readable ) {
+	var entry , value ,
+		operations = [] ,
+		size = 0 ,
+		count = 0 ;
+
+	this.checkWritable() ;
+
+	for await ( entry of exportFormats.parse( readable ) ) {
+		if ( entry.expire && entry.expire <= Date.now() ) { continue ; }
+
+		value = entry.value ;
+		size += value.length ;
+		if ( this.codec ) { value = this.decodeValue( value ) ; }
+
+		operations.push( {
+			type: 'set' , key: entry.key , value , expire: entry.expire || undefined
+		} ) ;
+
+		if ( operations.length >= IMPORT_BATCH_SIZE || size >= IMPORT_BATCH_BYTES ) {
+			await this.batch( operations ) ;
+			count += operations.length ;
+			operations = [] ;
+			size = 0 ;
+		}
+	}
+
+	if ( operations.length ) {
+		await this.batch( operations ) ;
+		count += operations.length ;
+	}
+
+	return count ;
+} ;
+
+
+
+// Create a store, load it and import an export into it
+KVStore.import = async function( readable , filePath = null , options = {} ) {
+	var store = new KVStore( filePath , options ) ;
+
+	await store.loadDB() ;
+	await store.import( readable ) ;
+
+	return store ;
+} ;
+
+
+
+const BACKUP_CHUNK_SIZE = 1024 * 1024 ;
+
+/*
+	Copy the store as it was when called to another DB file, writes can go on meanwhile.
+	Blocks are copied as they are (still compressed and encrypted), but only live ones: the backup is compacted.
+	It is written to a temporary file renamed once complete, so a failed backup leaves the previous one untouched.
+	Options:
+		incremental: if the last backup was made to the same path and that file was not modified since,
+			only entries changed since then are read from the store, the others are copied from that file
+	Return { entries , copied , size }: the number of entries, how many were read from the store, and the file size.
+	Only writes of this process are coordinated with the copy, so a read-only store can't be backed up.
+	The destination can't be the DB file itself.
+*/
+KVStore.prototype.backup = async function( destPath , options = {} ) {
+	if ( ! this.filePath ) { return null ; }
+
+	if ( this.readOnly ) {
+		// Writes from other processes can't be coordinated with the copy
+		let error = new Error( "DB file '" + this.filePath + "' is opened in read-only mode, it can't be backed up: another process may write to it" ) ;
+		error.code = 'readOnly' ;
+		throw error ;
+	}
+
+	if ( this.backingUp ) {
+		let error = new Error( "A backup is already in progress" ) ;
+		error.code = 'busy' ;
+		throw error ;
+	}
+
+	var snapshot , previous , result , stats ,
+		changes = this.backupChanges ;
+
+	destPath = path.resolve( destPath ) ;
+	this.backingUp = true ;
+
+	// Changes are tracked from the snapshot on
+	this.backupChanges = new Set() ;
+	snapshot = this.snapshot( true ) ;
+
+	try {
+		// The backup is renamed over the destination: the store would keep writing to the unlinked DB file
+		if ( await realFilePath( destPath ) === await realFilePath( this.filePath ) ) {
+			let error = new Error( "Can't back up the DB file '" + this.filePath + "' onto itself" ) ;
+			error.code = 'badPath' ;
+			throw error ;
+		}
+
+		if ( options.incremental && changes ) { previous = await this.openLastBackup( destPath ) ; }
+		result = await this.writeBackup( destPath , snapshot , previous , changes ) ;
+		stats = await fsPromise.stat( destPath ) ;
+		this.lastBackup = { path: destPath , size: stats.size , mtimeMs: stats.mtimeMs } ;
+	}
+	catch ( error ) {
+		// The next incremental backup still has to include what changed before this one
+		if ( changes ) {
+			for ( let key of changes ) { this.backupChanges.add( key ) ; }
+		}
+
+		throw error ;
+	}
+	finally {
+		this.snapshots.delete( snapshot ) ;
+		snapshot.pending = snapshot.saved = null ;
+		if ( previous ) { await previous.close() ; }
+		this.backingUp = false ;
+	}
+
+	return result ;
+} ;
+
+
+
+// The absolute path of a file, through symlinked directories
+async function realFilePath( filePath ) {
+	filePath = path.resolve( filePath ) ;
+
+	try {
+		return path.join( await fsPromise.realpath( path.dirname( filePath ) ) , path.basename( filePath ) ) ;
+	}
+	catch ( error ) {
+		return filePath ;
+	}
+}
+
+
+
+// Open the last backup if it's at that path and untouched, return null if it can't be used for an incremental backup
+KVStore.prototype.openLastBackup = async function( destPath ) {
+	var stats , previous ;
+
+	if ( ! this.lastBackup || this.lastBackup.path !== destPath ) { return null ; }
+
+	try {
+		stats = await fsPromise.stat( destPath ) ;
+	}
+	catch ( error ) {
+		return null ;
+	}
+
+	if ( stats.size !== this.lastBackup.size || stats.mtimeMs !== this.lastBackup.mtimeMs ) { return null ; }
+
+	// Only block locations are needed, it shares the encryption keys to read encrypted keys
+	previous = new KVStore( destPath , { readOnly: true , inMemoryValues: false } ) ;
+	previous.encryption = this.encryption ;
+
+	try {
+		await previous.loadDB() ;
+	}
+	catch ( error ) {
+		await previous.close() ;
+		return null ;
+	}
+
+	return previous ;
+} ;
+
+
+
+// Used by .backup()
+KVStore.prototype.writeBackup = async function( destPath , snapshot , previous , changes ) {
+	var key , mapV , previousMapV ,
+		// It doesn't end with '.tmp': it can't be the temporary file of a compaction (DB file path + '.tmp')
+		tmpPath = destPath + '.backup-tmp' ,
+		buffer = Buffer.allocUnsafe( BACKUP_CHUNK_SIZE ) ,
+		header = this.headerBuffer() ,
+		offset = HEADER_SIZE ,
+		copied = 0 ,
+		tmpFile = await fsPromise.open( tmpPath , 'w' ) ;
+
+	try {
+		await tmpFile.write( header , 0 , header.length , 0 ) ;
+
+		for ( [ key , mapV ] of snapshot.entries ) {
+			previousMapV = previous && ! changes.has( key ) && previous.map.get( key ) ;
+
+			if ( previousMapV ) {
+				await copyFileRange( previous.file , previousMapV.o , previousMapV.s , tmpFile , offset , buffer ) ;
+				offset += previousMapV.s ;
+			}
+			else {
+				offset += await this.snapshotBlock( snapshot , mapV , tmpFile , offset , buffer ) ;
+				copied ++ ;
+			}
+		}
+
+		await tmpFile.sync() ;
+	}
+	catch ( error ) {
+		await tmpFile.close() ;
+		await fsPromise.unlink( tmpPath ).catch( () => undefined ) ;
+		throw error ;
+	}
+
+	await tmpFile.close() ;
+	await fsPromise.rename( tmpPath , destPath ) ;
+
+	return { entries: snapshot.entries.length , copied , size: offset } ;
+} ;
+
+
+
+// Copy the block of a mapV as it was when the raw snapshot was taken, return its size
+KVStore.prototype.snapshotBlock = function( snapshot , mapV , file , offset , buffer ) {
+	return this.ioQueue.read( async () => {
+		var block = snapshot.saved.get( mapV ) ;
+
+		snapshot.pending.delete( mapV ) ;
+
+		if ( block ) {
+			snapshot.saved.delete( mapV ) ;
+			if ( block instanceof Error ) { throw block ; }
+			await file.write( block , 0 , block.length , offset ) ;
+			return block.length ;
+		}
+
+		await this.ensureOpen() ;
+		await copyFileRange( this.file , mapV.o , mapV.s , file , offset , buffer ) ;
+		return mapV.s ;
+	} ) ;
+} ;
+
+
+
+// Copy a part of a file into another one, by chunks of the buffer size
+async function copyFileRange( fromFile , fromOffset , size , toFile , toOffset , buffer ) {
+	var done , length ;
+
+	for ( done = 0 ; done < size ; done += length ) {
+		length = Math.min( buffer.length , size - done ) ;
+		await fromFile.read( buffer , 0 , length , fromOffset + done ) ;
+		await toFile.write( buffer , 0 , length , toOffset + done ) ;
+	}
+}
+
+
+
+// DB part
+
+
+
+/*
+	Entry structure:
+	Flags (1B) - Extended flags (1B) - Key LPS (1-2B) - Value LPS (2-4B) - [CRC32 (4B)] - [Expire (6B)]
+	- [Key ID (4B) - Nonce (12B) - Auth tag (16B)] - Key - Value
+
+	The CRC32 only exists when the 'checksum' option is on, it covers the whole entry except itself.
+	Free blocks have it too, covering only the flags and the (zero) LPS.
+	The expire timestamp (ms) only exists when the extended flag is set.
+	Encrypted entries have the ID of the encryption key, the nonce and the authentication tag of AES-256-GCM:
+	the value is encrypted (and the key too if its extended flag is set), everything else except the CRC is authenticated.
+	Format version 1 and 2 have no extended flags byte.
+
+	Flags structure:
+	1bit: free block
+	1bit: large LPS
+	1bit: +50% block size
+	5bits: 16 * 2^n block size
+
+	Extended flags structure:
+	3bits: reserved, must be 0
+	1bit: the key is encrypted (only with the next flag)
+	1bit: encrypted
+	2bits: value compression, 0: none, 1: deflate (raw), 2: brotli
+	1bit: has an expire timestamp
+
+	Value LPS is the size of the value as stored, i.e. compressed. The value is compressed before being encrypted.
+*/
+
+// The largest key and value a large LPS can store
+const MAX_KEY_LENGTH = 0xffff ;
+const MAX_VALUE_LENGTH = 0xffffffff ;
+
+const FLAG_FREE_BLOCK = 128 ;
+const FLAG_LARGE_LPS = 64 ;
+const MASK_NON_SIZE = FLAG_FREE_BLOCK | FLAG_LARGE_LPS ;
+const FLAG_PLUS_HALF_SIZE = 32 ;
+const MASK_POWER_OF_2_SIZE = 31 ;
+const MASK_SIZE = FLAG_PLUS_HALF_SIZE | MASK_POWER_OF_2_SIZE ;
+
+const XFLAG_EXPIRE = 1 ;
+const XFLAG_DEFLATE = 2 ;
+const XFLAG_BROTLI = 4 ;
+const MASK_COMPRESSION = XFLAG_DEFLATE | XFLAG_BROTLI ;
+const XFLAG_ENCRYPTED = 8 ;
+const XFLAG_ENCRYPTED_KEY = 16 ;
+const MASK_KNOWN_XFLAGS = XFLAG_EXPIRE | MASK_COMPRESSION | XFLAG_ENCRYPTED | XFLAG_ENCRYPTED_KEY ;
+
+const COMPRESSION_XFLAGS = { deflate: XFLAG_DEFLATE , brotli: XFLAG_BROTLI } ;
+const inflateRaw = util.promisify( zlib.inflateRaw ) ;
+const brotliDecompress = util.promisify( zlib.brotliDecompress ) ;
+
+// Compression runs inside write tasks, blocking the event loop: zlib's default brotli quality (11) can take seconds for a big value
+const DEFAULT_BROTLI_QUALITY = 4 ;
+
+const CRC_SIZE = 4 ;
+const EXPIRE_SIZE = 6 ;
+const KEY_ID_SIZE = 4 ;
+const NONCE_SIZE = 12 ;
+const TAG_SIZE = 16 ;
+const ENCRYPTION_SIZE = KEY_ID_SIZE + NONCE_SIZE + TAG_SIZE ;
+const MAX_HEADER_SIZE = 8 + CRC_SIZE + EXPIRE_SIZE + ENCRYPTION_SIZE ;
+const FREE_HEADER_SIZE = 5 ;	// Free blocks always have small LPS
+const BLOCK_ALIGNMENT = 8 ;		// Block sizes are all multiple of 8, so are offsets
+const STREAM_CHUNK_SIZE = 64 * 1024 ;	// Big values are read/written by chunks of that size
+
+KVStore.prototype.extractBlockSize = flags => 2 ** ( flags & MASK_POWER_OF_2_SIZE ) * ( flags & FLAG_PLUS_HALF_SIZE ? 24 : 16 ) ;
+
+
+
+KVStore.prototype.blockSizeToFlags =
+KVStore.prototype.blockSize = function( size , toFlags = null ) {
+	var powerOf2 , powerOf2AndHalf , blockSize , half = false ;
+
+	powerOf2 = Math.ceil( Math.log2( size ) ) ;
+	powerOf2AndHalf = Math.ceil( Math.log2( size * 2 / 3 ) ) ;
+
+	if ( powerOf2 === powerOf2AndHalf ) {
+		blockSize = 2 ** powerOf2 ;
+	}
+	else {
+		powerOf2 = powerOf2AndHalf ;
+		blockSize = ( 2 ** powerOf2 ) * 1.5 ;
+		half = true ;
+	}
+
+	if ( powerOf2 < 4 ) {
+		powerOf2 = 4 ;
+		half = false ;
+		blockSize = 16 ;
+	}
+
+	if ( toFlags === null ) { return blockSize ; }
+
+	if ( powerOf2 - 4 > 31 ) {
+		throw new Error( "Block size too big: " + blockSize ) ;
+	}
+
+	toFlags &= MASK_NON_SIZE ;	// reset the 6 lower bits
+	toFlags |= Math.max( 0 , powerOf2 - 4 ) ;
+	if ( half ) { toFlags |= FLAG_PLUS_HALF_SIZE ; }
+
+	return toFlags ;
+} ;
+
+
+
+// The CRC of the whole entry, except the CRC itself
+KVStore.prototype.entryCrc = function( buffer , crcOffset , entrySize ) {
+	return crc32( buffer , crcOffset + CRC_SIZE , entrySize , crc32( buffer , 0 , crcOffset ) ) ;
+} ;
+
+
+
+const INSERT_SIZE_OPTIMIZATION = 1.2 ;
+
+KVStore.prototype.entryBuffer = function( key , value , existingSize = 0 , mapVToPopulate = null , expire = 0 ) {
+	var offset , flags , blockSize , buffer , compressed , layout ,
+		xflags = 0 ,
+		valueIsBuffer = Buffer.isBuffer( value ) ,
+		valueLength = valueIsBuffer ? value.length : Buffer.byteLength( value ) ;
+
+	if ( this.compression && valueLength >= this.compressionThreshold ) {
+		compressed = this.compress( value ) ;
+
+		// Only keep it if it's worth it
+		if ( compressed.length < valueLength ) {
+			xflags |= COMPRESSION_XFLAGS[ this.compression ] ;
+			value = compressed ;
+			valueIsBuffer = true ;
+			valueLength = compressed.length ;
+		}
+	}
+
+	layout = this.entryLayout( Buffer.byteLength( key ) , valueLength , expire , xflags ) ;
+
+	if ( layout.entrySize <= existingSize ) {
+		blockSize = existingSize ;
+		flags = this.blockSizeToFlags( blockSize , 0 ) ;
+	}
+	else {
+		// If there is no existingSize, this is an insert, and we have to add a small free space for an entry to grow,
+		// if it has an entrySize bigger than current size, we have to move to another location and still allow
+		// some space to grow...
+		flags = this.blockSizeToFlags( layout.entrySize * INSERT_SIZE_OPTIMIZATION , 0 ) ;
+		blockSize = this.extractBlockSize( flags ) ;
+	}
+
+	buffer = Buffer.allocUnsafe( blockSize ) ;
+	this.writeEntryHeader( buffer , flags , key , layout ) ;
+	offset = layout.valueOffset ;
+
+	if ( valueIsBuffer ) { value.copy( buffer , offset ) ; }
+	else { buffer.write( value , offset , valueLength ) ; }
+
+	if ( mapVToPopulate ) {
+		// = inMemoryValues is false
+		this.populateMapV( mapVToPopulate , layout ) ;
+	}
+
+	offset += valueLength ;
+
+	// Fill with NUL the remaining bytes of the block, avoid having older data (maybe sensitive) remaining
+	if ( blockSize > layout.entrySize ) { buffer.fill( 0 , offset ) ; }
+
+	if ( this.encryption ) {
+		this.encryptEntry( buffer , layout ) ;
+	}
+
+	if ( this.checksum ) {
+		buffer.writeUInt32BE( this.entryCrc( buffer , layout.crcOffset , layout.entrySize ) , layout.crcOffset ) ;
+	}
+
+	return buffer ;
+} ;
+
+
+
+// Where things are in an entry, for the current options
+KVStore.prototype.entryLayout = function( keyLength , valueLength , expire , xflags = 0 ) {
+	var largeLPS = keyLength > 255 || valueLength > 65535 ,
+		offset = largeLPS ? 8 : 5 ,
+		layout = {
+			largeLPS ,
+			xflags ,
+			crcOffset: null ,
+			expire ,
+			expireOffset: null ,
+			encryptionOffset: null ,
+			encryptedKey: false ,
+			keyOffset: null ,
+			keyLength ,
+			valueOffset: null ,
+			valueLength ,
+			entrySize: null
+		} ;
+
+	if ( expire ) { layout.xflags |= XFLAG_EXPIRE ; }
+
+	if ( this.checksum ) {
+		layout.crcOffset = offset ;
+		offset += CRC_SIZE ;
+	}
+
+	if ( expire ) {
+		layout.expireOffset = offset ;
+		offset += EXPIRE_SIZE ;
+	}
+
+	if ( this.encryption ) {
+		// Filled once the entry is complete
+		layout.xflags |= this.encryption.encryptKeys ? XFLAG_ENCRYPTED | XFLAG_ENCRYPTED_KEY : XFLAG_ENCRYPTED ;
+		layout.encryptionOffset = offset ;
+		layout.encryptedKey = this.encryption.encryptKeys ;
+		offset += ENCRYPTION_SIZE ;
+	}
+
+	layout.keyOffset = offset ;
+	layout.valueOffset = offset + keyLength ;
+	layout.entrySize = layout.valueOffset + valueLength ;
+
+	return layout ;
+} ;
+
+
+
+// Write everything up to the value, except the CRC and the encryption data
+KVStore.prototype.writeEntryHeader = function( buffer , flags , key , layout ) {
+	if ( layout.largeLPS ) { flags |= FLAG_LARGE_LPS ; }
+
+	buffer.writeUInt8( flags , 0 ) ;
+	buffer.writeUInt8( layout.xflags , 1 ) ;
+
+	if ( layout.largeLPS ) {
+		buffer.writeUInt16BE( layout.keyLength , 2 ) ;
+		buffer.writeUInt32BE( layout.valueLength , 4 ) ;
+	}
+	else {
+		buffer.writeUInt8( layout.keyLength , 2 ) ;
+		buffer.writeUInt16BE( layout.valueLength , 3 ) ;
+	}
+
+	if ( layout.expire ) { buffer.writeUIntBE( layout.expire , layout.expireOffset , EXPIRE_SIZE ) ; }
+
+	buffer.write( key , layout.keyOffset , layout.keyLength ) ;
+} ;
+
+
+
+// Only used when .inMemoryValues is false
+KVStore.prototype.populateMapV = function( mapV , layout ) {
+	mapV.vo = layout.valueOffset ;
+	mapV.vs = layout.valueLength ;
+
+	// Compressed values have their compression xflag here, so they can be read without reading the entry header
+	if ( layout.xflags & MASK_COMPRESSION ) { mapV.z = layout.xflags & MASK_COMPRESSION ; }
+	else { delete mapV.z ; }
+
+	// Encrypted values need the whole entry to be decrypted
+	if ( layout.encryptionOffset !== null ) { mapV.x = 1 ; }
+	else { delete mapV.x ; }
+} ;
+
+
+
+KVStore.prototype.setEncryption = function( encryption ) {
+	var keys = new Map() ;
+
+	var addKey = key => {
+		if ( typeof key === 'string' ) { key = Buffer.from( key , 'hex' ) ; }
+		if ( ! Buffer.isBuffer( key ) || key.length !== 32 ) { throw new Error( "Encryption keys should be 32 bytes Buffer (or 64 hex chars)" ) ; }
+
+		var id = crypto.createHmac( 'sha256' , key ).update( 'ukvstore key ID' )
+			.digest()
+			.readUInt32BE( 0 ) ;
+
+		keys.set( id , key ) ;
+		return id ;
+	} ;
+
+	// Older keys can still decrypt entries, until a compaction re-encrypts them with the current key
+	if ( encryption.previousKeys ) { encryption.previousKeys.forEach( addKey ) ; }
+
+	this.encryption = {
+		keyId: addKey( encryption.key ) ,
+		keys ,
+		encryptKeys: !! encryption.encryptKeys
+	} ;
+} ;
+
+
+
+// What is authenticated but not encrypted: the entry header except the CRC, and the key if it's not encrypted
+KVStore.prototype.entryAad = function( buffer , entry ) {
+	var lpsEnd = entry.crcOffset !== null ? entry.crcOffset : buffer[ 0 ] & FLAG_LARGE_LPS ? 8 : 5 ,
+		afterCrc = entry.crcOffset !== null ? entry.crcOffset + CRC_SIZE : lpsEnd ,
+		parts = [ buffer.slice( 0 , lpsEnd ) , buffer.slice( afterCrc , entry.encryptionOffset + KEY_ID_SIZE + NONCE_SIZE ) ] ;
+
+	if ( ! entry.encryptedKey ) { parts.push( buffer.slice( entry.keyOffset , entry.keyOffset + entry.keyLength ) ) ; }
+
+	return Buffer.concat( parts ) ;
+} ;
+
+
+
+/*
+	Create the cipher of an entry, the buffer should contain the entry up to its value (included or not).
+	It writes the key ID and the nonce, and encrypts the key in place if needed: the value is left to the caller.
+	The entry object contains offsets: crcOffset (null: no CRC), encryptionOffset, keyOffset, keyLength, encryptedKey.
+*/
+KVStore.prototype.entryCipher = function( buffer , entry ) {
+	var cipher ,
+		nonce = crypto.randomBytes( NONCE_SIZE ) ;
+
+	buffer.writeUInt32BE( this.encryption.keyId , entry.encryptionOffset ) ;
+	nonce.copy( buffer , entry.encryptionOffset + KEY_ID_SIZE ) ;
+
+	cipher = crypto.createCipheriv( 'aes-256-gcm' , this.encryption.keys.get( this.encryption.keyId ) , nonce ) ;
+	cipher.setAAD( this.entryAad( buffer , entry ) ) ;
+
+	// GCM is a stream cipher: the ciphertext has the same size than the plaintext
+	if ( entry.encryptedKey ) {
+		cipher.update( buffer.slice( entry.keyOffset , entry.keyOffset + entry.keyLength ) ).copy( buffer , entry.keyOffset ) ;
+	}
+
+	return cipher ;
+} ;
+
+
+
+// Once the value is encrypted, the authentication tag is written
+KVStore.prototype.entryCipherFinal = function( cipher , buffer , entry ) {
+	cipher.final() ;
+	cipher.getAuthTag().copy( buffer , entry.encryptionOffset + KEY_ID_SIZE + NONCE_SIZE ) ;
+} ;
+
+
+
+// Encrypt a whole entry in place
+KVStore.prototype.encryptEntry = function( buffer , entry ) {
+	var cipher = this.entryCipher( buffer , entry ) ,
+		valueOffset = entry.keyOffset + entry.keyLength ;
+
+	cipher.update( buffer.slice( valueOffset , entry.entrySize ) ).copy( buffer , valueOffset ) ;
+	this.entryCipherFinal( cipher , buffer , entry ) ;
+} ;
+
+
+
+/*
+	Check and decrypt an entry chunk by chunk, the buffer should contain the entry up to its value (included or not).
+	The key is decrypted in place, but it is only authenticated once the whole value has been decoded.
+	The returned object has:
+		.update( chunk ): return the chunk of the value as it was before encryption
+		.final(): return an error message, or null if the entry is fine
+	Throw if the entry is encrypted with an unknown key.
+*/
+KVStore.prototype.entryDecoder = function( buffer , block ) {
+	var keyId , key , decipher = null , crc = null , expectedCrc ,
+		tagOffset = block.encryptionOffset + KEY_ID_SIZE + NONCE_SIZE ;
+
+	if ( this.fileHasCrc() ) {
+		expectedCrc = buffer.readUInt32BE( block.crcOffset ) ;
+		crc = this.entryCrc( buffer , block.crcOffset , block.valueOffset ) ;
+	}
+
+	if ( block.encryptionOffset !== null ) {
+		keyId = buffer.readUInt32BE( block.encryptionOffset ) ;
+		key = this.encryption && this.encryption.keys.get( keyId ) ;
+
+		if ( ! key ) {
+			let error = new Error( "DB file '" + this.filePath + "' has entries encrypted with an unknown key (ID: " + keyId.toString( 16 ) + ")" ) ;
+			error.code = 'badKey' ;
+			throw error ;
+		}
+
+		decipher = crypto.createDecipheriv( 'aes-256-gcm' , key , buffer.slice( block.encryptionOffset + KEY_ID_SIZE , tagOffset ) ) ;
+		decipher.setAAD( this.entryAad( buffer , block ) ) ;
+		decipher.setAuthTag( buffer.slice( tagOffset , tagOffset + TAG_SIZE ) ) ;
+
+		if ( block.encryptedKey ) {
+			decipher.update( buffer.slice( block.keyOffset , block.valueOffset ) ).copy( buffer , block.keyOffset ) ;
+		}
+	}
+
+	return {
+		update: chunk => {
+			if ( crc !== null ) { crc = crc32( chunk , 0 , chunk.length , crc ) ; }
+			return decipher ? decipher.update( chunk ) : chunk ;
+		} ,
+		final: () => {
+			if ( crc !== null && crc !== expectedCrc ) { return "checksum mismatch" ; }
+
+			if ( decipher ) {
+				try {
+					decipher.final() ;
+				}
+				catch ( error ) {
+					return "authentication failed (tampered entry)" ;
+				}
+			}
+
+			return null ;
+		}
+	} ;
+} ;
+
+
+
+// Check and decrypt a whole entry in place, return an error message if it fails
+KVStore.prototype.decodeEntry = function( buffer , block ) {
+	var decoder = this.entryDecoder( buffer , block ) ;
+
+	decoder.update( buffer.slice( block.valueOffset , block.entrySize ) ).copy( buffer , block.valueOffset ) ;
+	return decoder.final() ;
+} ;
+
+
+
+/*
+	Compute the CRC and encrypt an entry whose value comes chunk by chunk, the header buffer contains the entry up to its value.
+	The returned object has:
+		.update( chunk ): return the chunk as it should be written
+		.final(): complete the header with the CRC and the authentication tag
+*/
+KVStore.prototype.entryEncoder = function( header , layout ) {
+	var crc = 0 ,
+		cipher = this.encryption ? this.entryCipher( header , layout ) : null ;
+
+	return {
+		update: chunk => {
+			if ( cipher ) { chunk = cipher.update( chunk ) ; }
+			if ( this.checksum ) { crc = crc32( chunk , 0 , chunk.length , crc ) ; }
+			return chunk ;
+		} ,
+		final: () => {
+			if ( cipher ) { this.entryCipherFinal( cipher , header , layout ) ; }
+
+			// The CRC starts with the header, which is only complete now
+			if ( this.checksum ) {
+				crc = crc32.combine( this.entryCrc( header , layout.crcOffset , layout.valueOffset ) , crc , layout.valueLength ) ;
+				header.writeUInt32BE( crc , layout.crcOffset ) ;
+			}
+		}
+	} ;
+} ;
+
+
+
+KVStore.prototype.entryCorruptionError = function( key , mapV , reason ) {
+	return new Error( "Corrupted entry for key '" + key + "' at offset " + mapV.o + " (" + reason + ")" ) ;
+} ;
+
+
+
+KVStore.prototype.compress = function( value ) {
+	var options ;
+
+	if ( this.compression === 'brotli' ) {
+		options = {
+			params: {
+				[ zlib.constants.BROTLI_PARAM_QUALITY ]: this.compressionLevel !== undefined ? this.compressionLevel : DEFAULT_BROTLI_QUALITY
+			}
+		} ;
+		return zlib.brotliCompressSync( value , options ) ;
+	}
+
+	options = this.compressionLevel === undefined ? undefined : { level: this.compressionLevel } ;
+	return zlib.deflateRawSync( value , options ) ;
+} ;
+
+
+
+// Return a promise, unless sync is set
+KVStore.prototype.decompress = function( buffer , compression , sync = false ) {
+	if ( compression === XFLAG_BROTLI ) {
+		return sync ? zlib.brotliDecompressSync( buffer ) : brotliDecompress( buffer ) ;
+	}
+
+	return sync ? zlib.inflateRawSync( buffer ) : inflateRaw( buffer ) ;
+} ;
+
+
+
+// Open the DB file, create its header if it's a new one, or check it
+KVStore.prototype.openDB = async function() {
+	if ( ! this.filePath ) { return null ; }
+
+	await this.openFile() ;
+	await this.initHeader() ;
+} ;
+
+
+
+// Open the DB once, even if many reads running in parallel need it
+KVStore.prototype.ensureOpen = async function() {
+	if ( this.file ) { return ; }
+
+	// Operations queued before .close() still have the file, it must not be reopened (and locked again) after
+	if ( this.closed ) { throw this.closedError() ; }
+
+	if ( this.opening ) {
+		await this.opening ;
+		return ;
+	}
+
+	try {
+		this.opening = this.openDB() ;
+		await this.opening ;
+	}
+	finally {
+		this.opening = null ;
+	}
+} ;
+
+
+
+KVStore.prototype.initHeader = async function() {
+	try {
+		if ( this.eof ) {
+			this.checkHeader( await this.readHeader() ) ;
+		}
+		else if ( ! this.readOnly ) {
+			await this.writeDB( [ { offset: 0 , buffer: this.headerBuffer() } ] ) ;
+			this.eof = HEADER_SIZE ;
+		}
+	}
+	catch ( error ) {
+		await this.closeFile() ;
+		throw error ;
+	}
+
+	this.dataOffset = HEADER_SIZE ;
+} ;
+
+
+
+KVStore.prototype.openFile = async function() {
+	if ( this.readOnly ) {
+		// The journal is left to the process owning the lock
+		this.file = await fsPromise.open( this.filePath , 'r' ) ;
+		let stats = await this.file.stat() ;
+		this.eof = stats.size ;
+		return ;
+	}
+
+	// Throw a StoreLockedError if another process has it
+	await this.lockFile.acquire() ;
+
+	try {
+		try {
+			this.file = await fsPromise.open( this.filePath , 'r+' ) ;
+			let stats = await this.file.stat() ;
+			this.eof = stats.size ;
+		}
+		catch ( error ) {
+			this.file = await fsPromise.open( this.filePath , 'w+' ) ;
+			this.eof = 0 ;
+		}
+
+		if ( this.journalPath ) {
+			this.journal = new Journal( this.journalPath , { checkpointSize: this.journalCheckpointSize } ) ;
+			await this.journal.open() ;
+
+			// Finish what was interrupted by a crash, before anything else
+			if ( await this.journal.replay( this.file ) ) {
+				let stats = await this.file.stat() ;
+				this.eof = stats.size ;
+			}
+		}
+		else if ( this.batchJournalPath ) {
+			await this.replayBatchJournal() ;
+		}
+	}
+	catch ( error ) {
+		if ( this.file ) {
+			await this.file.close() ;
+			this.file = null ;
+		}
+
+		await this.lockFile.release() ;
+		throw error ;
+	}
+} ;
+
+
+
+// Finish a batch interrupted by a crash, if the batch journal exists
+KVStore.prototype.replayBatchJournal = async function() {
+	try {
+		await fsPromise.access( this.batchJournalPath ) ;
+	}
+	catch ( error ) {
+		return ;
+	}
+
+	this.batchJournal = new Journal( this.batchJournalPath ) ;
+	await this.batchJournal.open() ;
+
+	if ( await this.batchJournal.replay( this.file ) ) {
+		let stats = await this.file.stat() ;
+		this.eof = stats.size ;
+	}
+} ;
+
+
+
+KVStore.prototype.closeFile = async function() {
+	if ( this.journal ) {
+		await this.journal.close() ;
+		this.journal = null ;
+	}
+
+	if ( this.batchJournal ) {
+		await this.batchJournal.close() ;
+
+		// It is empty unless a batch write failed: then it is kept for the next open
+		if ( ! this.batchJournal.size ) { await fsPromise.unlink( this.batchJournalPath ).catch( () => undefined ) ; }
+		this.batchJournal = null ;
+	}
+
+	await this.file.close() ;
+	this.file = null ;
+
+	if ( this.lockFile ) { await this.lockFile.release() ; }
+} ;
+
+
+
+// Wait for pending operations, then close the DB file and release the lock
+KVStore.prototype.close = async function() {
+	this.closed = true ;
+	this.stopSweeper() ;
+	this.stopSyncTimer() ;
+	this.abortValueStreams( null , 'closed' ) ;
+
+	if ( ! this.filePath ) { return ; }
+
+	return this.ioQueue.write( async () => {
+		if ( ! this.file ) { return ; }
+		if ( this.durability !== 'none' ) { await this.syncFile() ; }
+		if ( this.usesHintFile() && ! this.readOnly ) { await this.writeHintFile() ; }
+		await this.closeFile() ;
+	} ) ;
+} ;
+
+
+
+// Wait for pending operations, then fsync the DB file (nothing to do with the journal, it is always fsynced)
+KVStore.prototype.flush = async function() {
+	if ( ! this.filePath ) { return ; }
+	return this.ioQueue.read( () => this.syncFile() ) ;
+} ;
+
+
+
+// Only when there is no write running: either from a read task, or inside a write task
+KVStore.prototype.syncFile = async function() {
+	if ( ! this.file || ! this.dirty ) { return ; }
+	this.dirty = false ;
+	await this.file.sync() ;
+} ;
+
+
+
+// Called once a write is done, before acknowledging it
+KVStore.prototype.durable = function() {
+	if ( this.durability !== 'group-commit' || this.journal ) { return ; }
+
+	// Writes done before it starts are all covered by the same fsync
+	if ( this.groupSync ) { return this.groupSync ; }
+
+	var waiting = true ,
+		promise = this.ioQueue.read( () => {
+			// Writes done from now on need the next one
+			waiting = false ;
+			if ( this.groupSync === promise ) { this.groupSync = null ; }
+			return this.syncFile() ;
+		} ) ;
+
+	// The task may have started right away
+	if ( waiting ) { this.groupSync = promise ; }
+
+	return promise ;
+} ;
+
+
+
+KVStore.prototype.startSyncTimer = function() {
+	this.stopSyncTimer() ;
+	this.syncTimer = setInterval( () => this.flush().catch( () => undefined ) , this.durabilityInterval ) ;
+
+	// Don't keep the process alive just for that
+	this.syncTimer.unref() ;
+} ;
+
+
+
+KVStore.prototype.stopSyncTimer = function() {
+	if ( ! this.syncTimer ) { return ; }
+	clearInterval( this.syncTimer ) ;
+	this.syncTimer = null ;
+} ;
+
+
+
+KVStore.prototype.headerBuffer = function() {
+	var buffer = Buffer.alloc( HEADER_SIZE ) ,
+		json = JSON.stringify( {
+			bufferValues: this.bufferValues ,
+			checksum: this.checksum ,
+			codec: this.codec ? this.codec.name || 'custom' : null
+		} ) ,
+		jsonLength = Buffer.byteLength( json ) ;
+
+	buffer.write( MAGIC , 0 , 'latin1' ) ;
+	buffer.writeUInt16BE( FORMAT_VERSION , 4 ) ;
+	buffer.writeUInt16BE( jsonLength , 6 ) ;
+	buffer.write( json , 8 , jsonLength ) ;
+
+	return buffer ;
+} ;
+
+
+
+// Return null if there is no header
+KVStore.prototype.readHeader = async function() {
+	var jsonLength , options ,
+		buffer = Buffer.alloc( HEADER_SIZE ) ;
+
+	await this.file.read( buffer , 0 , Math.min( HEADER_SIZE , this.eof ) , 0 ) ;
+
+	if ( this.eof < HEADER_SIZE || buffer.toString( 'latin1' , 0 , 4 ) !== MAGIC ) { return null ; }
+
+	jsonLength = buffer.readUInt16BE( 6 ) ;
+
+	try {
+		options = JSON.parse( buffer.toString( 'utf8' , 8 , 8 + jsonLength ) ) ;
+	}
+	catch ( error ) {
+		throw this.formatError( "has a corrupted header" ) ;
+	}
+
+	return { version: buffer.readUInt16BE( 4 ) , options } ;
+} ;
+
+
+
+// Check the header, and adopt format options that were not set by the userland
+KVStore.prototype.checkHeader = function( header , migrating = false ) {
+	if ( ! header ) {
+		throw this.formatError( "is not a ukvstore file, or it was created by a version prior to the header introduction: use .migrate() to upgrade it" ) ;
+	}
+
+	if ( header.version > FORMAT_VERSION ) {
+		throw this.formatError( "was created by a newer version of ukvstore (format version " + header.version + ", supported: " + FORMAT_VERSION + ")" ) ;
+	}
+
+	if ( header.version < FORMAT_VERSION && ! migrating ) {
+		throw this.formatError( "uses the old format version " + header.version + ": use .migrate() to upgrade it" ) ;
+	}
+
+	for ( let name in this.formatOptions ) {
+		if ( this.formatOptions[ name ] === undefined ) {
+			this[ name ] = !! header.options[ name ] ;
+		}
+		else if ( !! this.formatOptions[ name ] !== !! header.options[ name ] ) {
+			throw this.formatError( "was created with option '" + name + "' set to " + !! header.options[ name ] + ", but the store has it set to " + !! this.formatOptions[ name ] ) ;
+		}
+	}
+
+	// Files created before codecs existed have no codec entry, they can be used with any codec
+	if ( header.options.codec === undefined ) { return ; }
+
+	var codecName = this.codec ? this.codec.name || 'custom' : null ;
+
+	if ( ! this.userCodec && header.options.codec && codecs[ header.options.codec ] ) {
+		this.setCodec( header.options.codec ) ;
+	}
+	else if ( codecName !== header.options.codec ) {
+		throw this.formatError( "was created with codec " + header.options.codec + ", but the store has codec " + codecName ) ;
+	}
+} ;
+
+
+
+KVStore.prototype.formatError = function( message ) {
+	var error = new Error( "DB file '" + this.filePath + "' " + message ) ;
+	error.code = 'badFormat' ;
+	return error ;
+} ;
+
+
+
+// Upgrade a file using an older format, then load it: it should be used instead of .loadDB().
+// Return true if the file was actually upgraded.
+KVStore.prototype.migrate = async function() {
+	if ( ! this.filePath ) { return null ; }
+	this.checkWritable() ;
+
+	var loaded = false ;
+
+	var migrated = await this.ioQueue.write( async () => {
+		var header ;
+
+		if ( this.file ) { return false ; }
+
+		loaded = true ;
+		await this.openFile() ;
+		header = this.eof ? await this.readHeader() : null ;
+
+		if ( this.eof && ( ! header || header.version < FORMAT_VERSION ) ) {
+			if ( header ) {
+				this.checkHeader( header , true ) ;
+				this.dataOffset = HEADER_SIZE ;
+				this.fileFormatVersion = header.version ;
+			}
+			else {
+				// Format version 1: there is no header and no CRC, other options are those of the store
+				this.dataOffset = 0 ;
+				this.fileFormatVersion = 1 ;
+			}
+
+			await this.rewriteDB() ;
+			return true ;
+		}
+
+		await this.initHeader() ;
+		await this.loadBlocks() ;
+		return false ;
+	} ) ;
+
+	if ( loaded ) { this.emit( 'load' ) ; }
+	return migrated ;
+} ;
+
+
+
+/*
+	Load the whole DB in memory.
+	Options:
+		onProgress( loaded , total ): called as the DB file is read, in bytes
+*/
+KVStore.prototype.loadDB = async function( options = {} ) {
+	if ( ! this.filePath ) { return null ; }
+
+	await this.ioQueue.write( async () => {
+		await this.ensureOpen() ;
+		await this.loadBlocks( options.onProgress ) ;
+	} ) ;
+
+	this.emit( 'load' ) ;
+} ;
+
+
+
+KVStore.prototype.loadBlocks = async function( onProgress = null ) {
+	var block , value , mapV ,
+		ops = [] ,
+		now = Date.now() ;
+
+	if ( await this.loadHintFile() ) {
+		if ( onProgress ) { onProgress( this.eof , this.eof ) ; }
+		return ;
+	}
+
+	//console.log( "Load file, EOF:" , this.eof ) ;
+
+	for await ( block of this.scanBlocks( this.inMemoryValues , false , onProgress ) ) {
+		if ( block.error ) { throw this.corruptionError( block ) ; }
+
+		if ( block.free ) {
+			//console.log( "  *** free block, offset:" , block.offset , "size:" , block.size ) ;
+			// Adjacent free blocks are coalesced
+			this.freeSpace.add( block.offset , block.size ) ;
+		}
+		else if ( block.expire && block.expire <= now ) {
+			// Expired entries are not loaded, they become free blocks
+			if ( ! this.readOnly ) { this.clearBlock( { o: block.offset , s: block.size } , ops ) ; }
+		}
+		else if ( this.inMemoryValues ) {
+			// block.value is a view of the reused buffer, or a new buffer if it was decompressed
+			if ( this.codec ) {
+				value = this.codec.decode( Uint8Array.prototype.slice.call( block.value ) ) ;
+			}
+			else if ( this.bufferValues ) {
+				// This is the correct way to slice+copy, there is no dedicated API
+				// https://nodejs.org/dist/latest-v12.x/docs/api/buffer.html#buffer_buf_slice_start_end
+				value = Uint8Array.prototype.slice.call( block.value ) ;
+			}
+			else {
+				value = block.value.toString( 'utf8' ) ;
+			}
+
+			//console.log( "  >>> key:" , block.key , "; value:" , value ) ;
+			mapV = { v: value , o: block.offset , s: block.size } ;
+		}
+		else {
+			//console.log( "  >>> key:" , block.key ) ;
+			// For faster read, we need to save the value offset and valueLength to avoid reading
+			// the flags and both LPS before doing the actual value read (1 I/O instead of 2 I/O)
+			mapV = {
+				o: block.offset , s: block.size , vo: block.valueOffset , vs: block.valueLength
+			} ;
+
+			if ( block.compression ) { mapV.z = block.compression ; }
+			if ( block.encryptionOffset !== null ) { mapV.x = 1 ; }
+		}
+
+		if ( mapV ) {
+			if ( block.expire ) {
+				mapV.e = block.expire ;
+				this.expiring.add( block.key ) ;
+			}
+
+			this.mapSet( block.key , mapV ) ;
+			mapV = null ;
+		}
+	}
+
+	if ( this.readOnly ) { return ; }
+
+	this.reclaimTail( ops ) ;
+	if ( ops.length ) { await this.writeDB( ops ) ; }
+} ;
+
+
+
+KVStore.prototype.usesHintFile = function() {
+	return !! this.hintPath && ! this.inMemoryValues && ! ( this.encryption && this.encryption.encryptKeys ) ;
+} ;
+
+
+
+// Load what .loadBlocks() would from the hint file, return false if there is none matching the DB file
+KVStore.prototype.loadHintFile = async function() {
+	var hint , key , mapV , offset , size ,
+		ops = [] ,
+		now = Date.now() ;
+
+	if ( ! this.usesHintFile() || this.fileFormatVersion !== FORMAT_VERSION ) { return false ; }
+
+	hint = await hintFile.read( this.hintPath , await this.file.stat() ) ;
+
+	// It's outdated as soon as this process writes, and the mtime alone may not tell if it crashes before .close()
+	if ( ! this.readOnly ) { await fsPromise.unlink( this.hintPath ).catch( () => undefined ) ; }
+
+	if ( ! hint ) { return false ; }
+
+	for ( [ offset , size ] of hint.regions ) { this.freeSpace.add( offset , size ) ; }
+
+	for ( [ key , mapV ] of hint.entries ) {
+		if ( mapV.e ) {
+			// Expired entries are not loaded, they become free blocks
+			if ( mapV.e <= now ) {
+				if ( ! this.readOnly ) { this.clearBlock( mapV , ops ) ; }
+				continue ;
+			}
+
+			this.expiring.add( key ) ;
+		}
+
+		this.mapSet( key , mapV ) ;
+	}
+
+	if ( this.readOnly ) { return true ; }
+
+	this.reclaimTail( ops ) ;
+	if ( ops.length ) { await this.writeDB( ops ) ; }
+	return true ;
+} ;
+
+
+
+/*
+	Write the hint file now, instead of waiting for .close(): if the process crashes before writing again,
+	the next load still doesn't have to scan the DB file. The journal is emptied too.
+	The next write removes the hint file, since it doesn't describe the DB file anymore.
+	Return false if there is no hint file to write (the 'hintFile' option is off, or the store is not loaded).
+*/
+KVStore.prototype.checkpoint = async function() {
+	this.checkWritable() ;
+	if ( ! this.usesHintFile() ) { return false ; }
+
+	return this.ioQueue.write( async () => {
+		if ( ! this.file ) { return false ; }
+		await this.writeHintFile() ;
+		this.hintWritten = true ;
+		return true ;
+	} ) ;
+} ;
+
+
+
+// Fsync the DB file and empty the journal and the batch journal
+KVStore.prototype.checkpointJournals = async function() {
+	if ( this.journal ) { await this.journal.checkpoint( this.file ) ; }
+	if ( this.batchJournal ) { await this.batchJournal.checkpoint( this.file ) ; }
+} ;
+
+
+
+// Called by .close() or .checkpoint(), when no write is running
+KVStore.prototype.writeHintFile = async function() {
+	// The journal must be empty: replaying it on the next open would modify the DB file, making the hint file useless
+	await this.checkpointJournals() ;
+
+	await hintFile.write( this.hintPath , await this.file.stat() , writtenMapEntries( this.map ) , this.freeSpace.regions ) ;
+} ;
+
+
+
+// Called before the DB file is modified: the hint file written by .checkpoint() would not describe it anymore.
+// Its size and mtime may not tell, e.g. for an in-place update done within the mtime resolution.
+KVStore.prototype.dropHintFile = async function() {
+	if ( ! this.hintWritten ) { return ; }
+	this.hintWritten = false ;
+	await fsPromise.unlink( this.hintPath ).catch( () => undefined ) ;
+} ;
+
+
+
+// Entries having a block in the DB file
+function * writtenMapEntries( map ) {
+	for ( let entry of map ) {
+		if ( entry[ 1 ].o !== null ) { yield entry ; }
+	}
+}
+
+
+
+/*
+	Iterate over all blocks of the DB file, yielding objects describing them, see lib/Scanner.js.
+	The .buffer and .value properties of those objects are reused by the next iteration, so they must be copied to be kept.
+	If resync is set, a bad block does not stop the scan: the next valid block is searched at each possible offset,
+	and the bad block is reported once found, with the size of the skipped part.
+	onProgress( scanned , total ) is called as the file is read, in bytes.
+*/
+KVStore.prototype.scanBlocks = async function *( withValues = false , resync = false , onProgress = null ) {
+	var block , badBlock = null , offset = this.dataOffset ,
+		scanner = new Scanner( this , { withValues , chunkSize: this.scanChunkSize , onProgress } ) ;
+
+	while ( offset < this.eof ) {
+		block = await scanner.readBlock( offset ) ;
+
+		if ( block.error ) {
+			if ( ! resync ) {
+				yield block ;
+				return ;
+			}
+
+			if ( ! badBlock ) { badBlock = block ; }
+			offset += BLOCK_ALIGNMENT ;
+			continue ;
+		}
+
+		if ( badBlock ) {
+			badBlock.size = offset - badBlock.offset ;
+			yield badBlock ;
+			badBlock = null ;
+		}
+
+		yield block ;
+		offset += block.size ;
+	}
+
+	if ( badBlock ) {
+		badBlock.size = this.eof - badBlock.offset ;
+		yield badBlock ;
+	}
+
+	scanner.done() ;
+} ;
+
+
+
+// Read and check one block, the buffer is grown if necessary, the returned object contains the buffer actually used
+KVStore.prototype.readBlock = async function( offset , buffer , withValues ) {
+	var block , readEnd , newBuffer , decoder , chunk , position , length ,
+		readLength = Math.min( MAX_HEADER_SIZE , this.eof - offset ) ;
+
+	// Read the flags + the 2 LPS (+ the CRC, + the expire timestamp)
+	await this.file.read( buffer , 0 , readLength , offset ) ;
+	block = this.parseBlockHeader( buffer , readLength ) ;
+	block.offset = offset ;
+	block.buffer = buffer ;
+
+	if ( block.error ) { return block ; }
+
+	if ( offset + block.size > this.eof ) {
+		block.error = "block overflows the end of file" ;
+		return block ;
+	}
+
+	if ( block.free ) { return block ; }
+
+	// The whole entry is needed to check the CRC or to decrypt it, but big values are checked chunk by chunk
+	readEnd =
+		withValues || ( ( this.fileHasCrc() || block.encryptionOffset !== null ) && block.valueLength <= STREAM_CHUNK_SIZE ) ?
+			block.entrySize : block.valueOffset ;
+
+	if ( buffer.length < readEnd ) {
+		// Use .blockSize() to avoid allocating more and more buffer everytime it is increased by 1
+		newBuffer = Buffer.allocUnsafe( this.blockSize( readEnd ) ) ;
+		// Don't forget to copy back what is already read
+		buffer.copy( newBuffer , 0 , 0 , readLength ) ;
+		block.buffer = buffer = newBuffer ;
+	}
+
+	if ( readEnd > readLength ) {
+		// Read the rest, but don't read again the flags + LPS bytes
+		await this.file.read( buffer , readLength , readEnd - readLength , offset + readLength ) ;
+	}
+
+	if ( readEnd === block.entrySize ) {
+		if ( this.fileHasCrc() || block.encryptionOffset !== null ) {
+			block.error = this.decodeEntry( buffer , block ) ;
+			if ( block.error ) { return block ; }
+		}
+	}
+	else if ( this.fileHasCrc() || block.encryptionOffset !== null ) {
+		decoder = this.entryDecoder( buffer , block ) ;
+		chunk = Buffer.allocUnsafe( STREAM_CHUNK_SIZE ) ;
+
+		for ( position = block.valueOffset ; position < block.entrySize ; position += length ) {
+			length = Math.min( STREAM_CHUNK_SIZE , block.entrySize - position ) ;
+			await this.file.read( chunk , 0 , length , offset + position ) ;
+			decoder.update( chunk.slice( 0 , length ) ) ;
+		}
+
+		block.error = decoder.final() ;
+		if ( block.error ) { return block ; }
+	}
+
+	this.decodeBlockKeyValue( buffer , block , withValues ) ;
+	return block ;
+} ;
+
+
+
+// Set the key and the value (if wanted) of a checked block, the buffer starts with the block
+KVStore.prototype.decodeBlockKeyValue = function( buffer , block , withValues ) {
+	block.key = buffer.toString( 'utf8' , block.keyOffset , block.keyOffset + block.keyLength ) ;
+
+	if ( withValues ) {
+		block.value = buffer.slice( block.valueOffset , block.valueOffset + block.valueLength ) ;
+
+		if ( block.compression ) {
+			try {
+				block.value = this.decompress( block.value , block.compression , true ) ;
+			}
+			catch ( error ) {
+				block.error = "bad compressed value" ;
+			}
+		}
+	}
+} ;
+
+
+
+KVStore.prototype.corruptionError = function( block ) {
+	var error = new Error( "Corrupted DB file at offset " + block.offset + " (" + block.error + "), .repairDB() may salvage it" ) ;
+	error.code = 'corrupted' ;
+	error.offset = block.offset ;
+	return error ;
+} ;
+
+
+
+// True if entries of the file being read have a CRC: format version 1 files have none, whatever the options are
+KVStore.prototype.fileHasCrc = function() {
+	return this.checksum && this.fileFormatVersion >= 2 ;
+} ;
+
+
+
+// Decode the flags and the LPS, and do all sanity checks possible at that point
+KVStore.prototype.parseBlockHeader = function( buffer , length ) {
+	var flags = buffer.readUInt8( 0 ) ,
+		// The extended flags byte appeared with format version 3
+		lpsOffset = this.fileFormatVersion >= 3 ? 2 : 1 ,
+		xflags = lpsOffset === 2 ? buffer.readUInt8( 1 ) : 0 ,
+		headerSize = lpsOffset + ( flags & FLAG_LARGE_LPS ? 6 : 3 ) ,
+		expireOffset ,
+		block = {
+			offset: null ,
+			size: this.extractBlockSize( flags ) ,
+			free: !! ( flags & FLAG_FREE_BLOCK ) ,
+			largeLPS: !! ( flags & FLAG_LARGE_LPS ) ,
+			expire: 0 ,
+			compression: xflags & MASK_COMPRESSION ,
+			encryptionOffset: null ,
+			crcOffset: null ,
+			error: null
+		} ;
+
+	if ( this.fileHasCrc() ) {
+		block.crcOffset = headerSize ;
+		headerSize += CRC_SIZE ;
+	}
+
+	if ( xflags & XFLAG_EXPIRE ) {
+		expireOffset = headerSize ;
+		headerSize += EXPIRE_SIZE ;
+	}
+
+	if ( xflags & XFLAG_ENCRYPTED ) {
+		block.encryptionOffset = headerSize ;
+		block.encryptedKey = !! ( xflags & XFLAG_ENCRYPTED_KEY ) ;
+		headerSize += ENCRYPTION_SIZE ;
+	}
+
+	if ( length < headerSize ) {
+		block.error = "truncated block" ;
+		return block ;
+	}
+
+	if (
+		xflags & ~ MASK_KNOWN_XFLAGS || block.compression === MASK_COMPRESSION
+		|| ( xflags & XFLAG_ENCRYPTED_KEY && ! ( xflags & XFLAG_ENCRYPTED ) )
+	) {
+		block.error = "unknown extended flags" ;
+		return block ;
+	}
+
+	if ( flags & FLAG_LARGE_LPS ) {
+		block.keyLength = buffer.readUInt16BE( lpsOffset ) ;
+		block.valueLength = buffer.readUInt32BE( lpsOffset + 2 ) ;
+	}
+	else {
+		block.keyLength = buffer.readUInt8( lpsOffset ) ;
+		block.valueLength = buffer.readUInt16BE( lpsOffset + 1 ) ;
+	}
+
+	if ( expireOffset ) { block.expire = buffer.readUIntBE( expireOffset , EXPIRE_SIZE ) ; }
+
+	block.keyOffset = headerSize ;
+	block.valueOffset = headerSize + block.keyLength ;
+	block.entrySize = block.valueOffset + block.valueLength ;
+
+	if ( block.free ) {
+		if ( flags & FLAG_LARGE_LPS || xflags || block.keyLength || block.valueLength ) {
+			block.error = "malformed free block" ;
+		}
+		else if ( this.fileHasCrc() && buffer.readUInt32BE( block.crcOffset ) !== this.entryCrc( buffer , block.crcOffset , headerSize ) ) {
+			block.error = "checksum mismatch" ;
+		}
+	}
+	else if ( block.entrySize > block.size ) {
+		block.error = "entry overflows its block" ;
+	}
+
+	return block ;
+} ;
+
+
+
+/*
+	Storage figures, computed from memory:
+		entries: the number of keys
+		fileSize: the size of the DB file (null if not open yet)
+		entryBlocksSize: the space used by entries, including the room each block keeps for growing
+		freeSpace: the space of free blocks, .compactDB() would reclaim it
+		freeRegions: the number of free regions (adjacent free blocks are counted once)
+		freeRatio: freeSpace relative to the data part of the file
+		blockSizes: object, the number of entries for each block size
+		slack: the room left in entry blocks for growing, averageSlack: the same per entry
+		largeLPS: the number of entries having large LPS (key > 255 bytes or value > 65535 bytes)
+			slack, averageSlack and largeLPS are left out when values are in memory (entry sizes are unknown), see .analyzeDB()
+		counters: block writes since the store was created, inserts, in-place updates,
+			relocations (updates that did not fit their block) and freeBlockReuses (allocations using a free block)
+		cache: the value cache figures { entries , bytes , hits , misses , hitRatio }, null if there is no cache
+*/
+KVStore.prototype.stats = function() {
+	var key , mapV ,
+		written = 0 ,
+		sizeKnown = ! this.inMemoryValues ,
+		dataSize = this.eof ? this.eof - this.dataOffset : 0 ,
+		stats = {
+			entries: this.map.size ,
+			fileSize: this.eof ,
+			entryBlocksSize: 0 ,
+			freeSpace: this.freeSpace.size ,
+			freeRegions: this.freeSpace.regions.size ,
+			freeRatio: dataSize ? this.freeSpace.size / dataSize : 0 ,
+			blockSizes: {} ,
+			counters: Object.assign( {} , this.counters ) ,
+			cache: this.cache ? this.cache.stats() : null
+		} ;
+
+	if ( sizeKnown ) {
+		stats.slack = 0 ;
+		stats.averageSlack = 0 ;
+		stats.largeLPS = 0 ;
+	}
+
+	for ( [ key , mapV ] of this.map ) {
+		// Not yet written, or no DB file
+		if ( mapV.o === null ) { continue ; }
+
+		written ++ ;
+		stats.entryBlocksSize += mapV.s ;
+		stats.blockSizes[ mapV.s ] = ( stats.blockSizes[ mapV.s ] || 0 ) + 1 ;
+
+		if ( sizeKnown ) {
+			// The value is at the end of the entry
+			stats.slack += mapV.s - mapV.vo - mapV.vs ;
+			if ( mapV.vs > 65535 || Buffer.byteLength( key ) > 255 ) { stats.largeLPS ++ ; }
+		}
+	}
+
+	if ( sizeKnown && written ) { stats.averageSlack = stats.slack / written ; }
+
+	return stats ;
+} ;
+
+
+
+/*
+	Walk the whole DB file to report how its space is used, per block size:
+		{ fileSize , entries , freeBlocks , badBlocks , expired , largeLPS , entryBlocksSize , slack , freeSpace , sizeClasses }
+	sizeClasses is an array of { size , entries , freeBlocks , slack , averageSlack } ordered by size,
+	slack is the room left in entry blocks, expired entries are counted as entries too (they are not reclaimed yet).
+	Options:
+		onProgress( scanned , total ): called as the DB file is read, in bytes
+*/
+KVStore.prototype.analyzeDB = async function( options = {} ) {
+	if ( ! this.filePath ) { return null ; }
+
+	return this.ioQueue.read( async () => {
+		var block , sizeClass ,
+			now = Date.now() ,
+			sizeClasses = new Map() ,
+			report = {
+				fileSize: null ,
+				entries: 0 ,
+				freeBlocks: 0 ,
+				badBlocks: 0 ,
+				expired: 0 ,
+				largeLPS: 0 ,
+				entryBlocksSize: 0 ,
+				slack: 0 ,
+				freeSpace: 0 ,
+				sizeClasses: null
+			} ;
+
+		await this.ensureOpen() ;
+		report.fileSize = this.eof ;
+
+		for await ( block of this.scanBlocks( false , true , options.onProgress ) ) {
+			if ( block.error ) {
+				report.badBlocks ++ ;
+				continue ;
+			}
+
+			sizeClass = sizeClasses.get( block.size ) ;
+
+			if ( ! sizeClass ) {
+				sizeClass = {
+					size: block.size , entries: 0 , freeBlocks: 0 , slack: 0 , averageSlack: null
+				} ;
+				sizeClasses.set( block.size , sizeClass ) ;
+			}
+
+			if ( block.free ) {
+				report.freeBlocks ++ ;
+				report.freeSpace += block.size ;
+				sizeClass.freeBlocks ++ ;
+				continue ;
+			}
+
+			report.entries ++ ;
+			report.entryBlocksSize += block.size ;
+			report.slack += block.size - block.entrySize ;
+			if ( block.largeLPS ) { report.largeLPS ++ ; }
+			if ( block.expire && block.expire <= now ) { report.expired ++ ; }
+			sizeClass.entries ++ ;
+			sizeClass.slack += block.size - block.entrySize ;
+		}
+
+		report.sizeClasses = [ ... sizeClasses.values() ].sort( ( a , b ) => a.size - b.size ) ;
+
+		for ( sizeClass of report.sizeClasses ) {
+			if ( sizeClass.entries ) { sizeClass.averageSlack = sizeClass.slack / sizeClass.entries ; }
+		}
+
+		return report ;
+	} ) ;
+} ;
+
+
+
+// Check the whole DB file without modifying anything, report bad blocks.
+// Like .analyzeDB(), options.onProgress( scanned , total ) is called as the file is read.
+KVStore.prototype.verifyDB = async function( options = {} ) {
+	if ( ! this.filePath ) { return null ; }
+
+	return this.ioQueue.read( async () => {
+		var block , report = {
+			ok: true , entries: 0 , freeBlocks: 0 , badBlocks: []
+		} ;
+
+		await this.ensureOpen() ;
+
+		for await ( block of this.scanBlocks( false , true , options.onProgress ) ) {
+			if ( block.error ) {
+				report.ok = false ;
+				report.badBlocks.push( { offset: block.offset , size: block.size , error: block.error } ) ;
+			}
+			else if ( block.free ) { report.freeBlocks ++ ; }
+			else { report.entries ++ ; }
+		}
+
+		return report ;
+	} ) ;
+} ;
+
+
+
+// Rewrite the DB file with everything that can be salvaged, then reload it
+KVStore.prototype.repairDB = async function() {
+	if ( ! this.filePath ) { return null ; }
+	this.checkWritable() ;
+
+	var report = await this.ioQueue.write( async () => {
+		await this.ensureOpen() ;
+		return this.rewriteDB( true ) ;
+	} ) ;
+
+	this.emit( 'load' ) ;
+	return report ;
+} ;
+
+
+
+// Write all valid entries contiguously into a new file with an up to date header, swap both files, and reload
+KVStore.prototype.rewriteDB = async function( resync = false ) {
+	var block , entryBuffer , tmpFile , newEof = HEADER_SIZE ,
+		tmpPath = this.filePath + '.tmp' ,
+		report = {
+			ok: true , entries: 0 , freeBlocks: 0 , badBlocks: [] , lostBytes: 0
+		} ;
+
+	// The journal refers to offsets of the current file, it must be empty before the swap
+	await this.checkpointJournals() ;
+
+	await this.dropHintFile() ;
+	tmpFile = await fsPromise.open( tmpPath , 'w' ) ;
+	entryBuffer = this.headerBuffer() ;
+	await tmpFile.write( entryBuffer , 0 , entryBuffer.length , 0 ) ;
+
+	for await ( block of this.scanBlocks( true , resync ) ) {
+		if ( block.error ) {
+			report.ok = false ;
+			report.badBlocks.push( { offset: block.offset , size: block.size , error: block.error } ) ;
+			report.lostBytes += block.size ;
+		}
+		else if ( block.free ) {
+			report.freeBlocks ++ ;
+		}
+		else {
+			entryBuffer = this.entryBuffer( block.key , block.value , block.size , null , block.expire ) ;
+			await tmpFile.write( entryBuffer , 0 , entryBuffer.length , newEof ) ;
+			newEof += entryBuffer.length ;
+			report.entries ++ ;
+		}
+	}
+
+	if ( ! resync && ! report.ok ) {
+		await tmpFile.close() ;
+		await fsPromise.unlink( tmpPath ) ;
+		throw this.corruptionError( report.badBlocks[ 0 ] ) ;
+	}
+
+	await tmpFile.sync() ;
+	await tmpFile.close() ;
+	await this.file.close() ;
+	await fsPromise.rename( tmpPath , this.filePath ) ;
+
+	this.file = await fsPromise.open( this.filePath , 'r+' ) ;
+	this.eof = newEof ;
+	this.dataOffset = HEADER_SIZE ;
+	this.fileFormatVersion = FORMAT_VERSION ;
+	this.mapClear() ;
+	this.expiring.clear() ;
+	this.freeSpace.clear() ;
+	await this.loadBlocks() ;
+
+	return report ;
+} ;
+
+
+
+// Copy all live blocks contiguously into a new file, then swap both files. Return the number of bytes reclaimed.
+KVStore.prototype.compactDB = async function() {
+	if ( ! this.filePath ) { return null ; }
+	this.checkWritable() ;
+
+	return this.ioQueue.write( async () => {
+		var mapV , tmpFile , reclaimed , index , size , reencoded ,
+			newEof = HEADER_SIZE ,
+			tmpPath = this.filePath + '.tmp' ,
+			buffer = Buffer.allocUnsafe( 64 ) ,
+			relocated = [] ,
+			offsets = [] ,
+			newMapVs = [] ;
+
+		await this.ensureOpen() ;
+
+		if ( this.valueWriteStreams.size ) {
+			let error = new Error( "Can't compact while values are being streamed in" ) ;
+			error.code = 'busy' ;
+			throw error ;
+		}
+
+		// The journal refers to offsets of the current file, it must be empty before the swap
+		await this.checkpointJournals() ;
+
+		await this.dropHintFile() ;
+		tmpFile = await fsPromise.open( tmpPath , 'w' ) ;
+		buffer = this.headerBuffer() ;
+		await tmpFile.write( buffer , 0 , buffer.length , 0 ) ;
+
+		for ( mapV of this.map.values() ) {
+			// Not yet inserted
+			if ( mapV.o === null ) { continue ; }
+
+			if ( buffer.length < mapV.s ) { buffer = Buffer.allocUnsafe( mapV.s ) ; }
+
+			await this.file.read( buffer , 0 , mapV.s , mapV.o ) ;
+			size = mapV.s ;
+			reencoded = null ;
+
+			// Key rotation: entries not encrypted with the current key are re-encrypted
+			if ( this.encryption ) {
+				reencoded = this.reencryptBlock( buffer , mapV ) ;
+				if ( reencoded ) { size = reencoded.buffer.length ; }
+			}
+
+			await tmpFile.write( reencoded ? reencoded.buffer : buffer , 0 , size , newEof ) ;
+			relocated.push( mapV ) ;
+			offsets.push( newEof ) ;
+			newMapVs.push( reencoded && reencoded.mapV ) ;
+			newEof += size ;
+		}
+
+		await tmpFile.sync() ;
+		await tmpFile.close() ;
+		await this.file.close() ;
+		await fsPromise.rename( tmpPath , this.filePath ) ;
+		this.file = await fsPromise.open( this.filePath , 'r+' ) ;
+
+		// Entries deleted before being copied have no block anymore,
+		// those deleted after being copied are relocated like the others.
+		for ( mapV of this.pendingDeletes ) { mapV.o = null ; }
+		for ( index = 0 ; index < relocated.length ; index ++ ) {
+			relocated[ index ].o = offsets[ index ] ;
+			if ( newMapVs[ index ] ) {
+				this.abortValueStreams( relocated[ index ] , 'changed' ) ;
+				if ( ! newMapVs[ index ].z ) { delete relocated[ index ].z ; }
+				Object.assign( relocated[ index ] , newMapVs[ index ] ) ;
+			}
+		}
+
+		reclaimed = this.eof - newEof ;
+		this.eof = newEof ;
+		this.freeSpace.clear() ;
+
+		return reclaimed ;
+	} ) ;
+} ;
+
+
+
+// Used by compactDB(), return null if the block is already encrypted with the current key,
+// or the new block buffer and the mapV properties to update once the new file is in place.
+KVStore.prototype.reencryptBlock = function( buffer , mapV ) {
+	var block = this.parseBlockHeader( buffer , mapV.s ) , error , key , value ;
+
+	if ( block.error ) { throw this.corruptionError( Object.assign( block , { offset: mapV.o } ) ) ; }
+	if ( block.encryptionOffset !== null && buffer.readUInt32BE( block.encryptionOffset ) === this.encryption.keyId ) { return null ; }
+
+	error = this.decodeEntry( buffer , block ) ;
+	if ( error ) { throw this.corruptionError( Object.assign( block , { offset: mapV.o , error } ) ) ; }
+
+	key = buffer.toString( 'utf8' , block.keyOffset , block.keyOffset + block.keyLength ) ;
+	value = buffer.slice( block.valueOffset , block.entrySize ) ;
+	if ( block.compression ) { value = this.decompress( value , block.compression , true ) ; }
+
+	var newMapV = { s: 0 } ,
+		newBuffer = this.entryBuffer( key , value , mapV.s , ! this.inMemoryValues && newMapV , block.expire ) ;
+
+	newMapV.s = newBuffer.length ;
+	return { buffer: newBuffer , mapV: newMapV } ;
+} ;
+
+
+
+// Start an auto-compaction without waiting for it, so the write triggering it returns at once.
+// A failure is emitted as an 'error' event if there is a listener, a 'busy' store will just be compacted later.
+KVStore.prototype.startAutoCompact = function() {
+	this.autoCompact().catch( error => {
+		if ( error.code !== 'busy' && this.listenerCount( 'error' ) ) { this.emit( 'error' , error ) ; }
+	} ) ;
+} ;
+
+
+
+// Compact if the free space ratio is above the 'autoCompact' option, return when it's done
+KVStore.prototype.autoCompact = async function() {
+	if ( this.compacting ) { return this.compacting ; }
+
+	var dataSize = this.eof - this.dataOffset ;
+
+	if (
+		! this.autoCompactRatio || ! this.file || this.closed || this.valueWriteStreams.size
+		|| dataSize < this.autoCompactMinSize || this.freeSpace.size / dataSize < this.autoCompactRatio
+	) {
+		return ;
+	}
+
+	try {
+		this.compacting = this.compactDB() ;
+		await this.compacting ;
+	}
+	finally {
+		this.compacting = null ;
+	}
+} ;
+
+
+
+// Only used when .inMemoryValues is false
+KVStore.prototype.retrieveDB = async function( key , mapV ) {
+	if ( ! this.filePath ) { return null ; }
+
+	return this.ioQueue.read( async () => {
+		await this.ensureOpen() ;
+
+		var value ,
+			rawValue = await this.readValue( key , mapV ) ;
+
+		if ( this.codec ) {
+			value = this.codec.decode( rawValue ) ;
+		}
+		else if ( ! this.bufferValues ) {
+			value = rawValue.toString( 'utf8' ) ;
+		}
+		else {
+			value = rawValue ;
+		}
+
+		//console.log( "  >>> retrieve key:" , key , "; value:" , value ) ;
+
+		// Writes can't run during a read, but if one was queued meanwhile, this value is already outdated.
+		// With a codec, the cache has its own decoded copy, the value returned belongs to the caller.
+		if ( this.cache && this.map.get( key ) === mapV && ! mapV.w ) {
+			this.cache.set( key , this.codec ? this.codec.decode( rawValue ) : value , rawValue.length ) ;
+		}
+
+		return value ;
+	} ) ;
+} ;
+
+
+
+// Read the raw value of an entry, decrypted and decompressed, as a Buffer. Run as an operation of the I/O queue.
+KVStore.prototype.readValue = async function( key , mapV ) {
+	var value , buffer , block , error ;
+
+	if ( this.checksum || mapV.x ) {
+		// Read the whole entry to check or decrypt it, the key is usually small enough, it's still 1 I/O
+		buffer = Buffer.allocUnsafe( mapV.vo + mapV.vs ) ;
+		await this.file.read( buffer , 0 , buffer.length , mapV.o ) ;
+		block = this.parseBlockHeader( buffer , buffer.length ) ;
+		error = block.error || this.decodeEntry( buffer , block ) ;
+		if ( error ) { throw this.entryCorruptionError( key , mapV , error ) ; }
+
+		value = buffer.slice( mapV.vo ) ;
 	}
 	else {
-		// Append it at the end of the file
-		mapV.o = this.eof ;
-		this.eof += entryBuffer.length ;
-		//console.log( "insert at the end of the file:" , mapV.o ) ;
+		value = Buffer.allocUnsafe( mapV.vs ) ;
+		await this.file.read( value , 0 , mapV.vs , mapV.o + mapV.vo ) ;
+	}
+
+	if ( mapV.z ) {
+		value = await this.decompress( value , mapV.z ) ;
 	}
 
+	return value ;
+} ;
+
+
+
+KVStore.prototype.insertDB = async function( key , mapV , value ) {
+	if ( ! this.filePath ) { return null ; }
+
+	await this.writeOps( ops => this.insertOps( key , mapV , value , ops ) ) ;
+
+	await this.durable() ;
+} ;
+
+
+
+KVStore.prototype.insertOps = function( key , mapV , value , ops ) {
+	// Before anything is allocated
+	this.checkEntry( key , value ) ;
+	this.counters.inserts ++ ;
+
+	var entryBuffer = this.entryBuffer( key , value , undefined , ! this.inMemoryValues && mapV , mapV.e ) ;
+	//console.log( entryBuffer ) ;
+
+	this.insertEntryBuffer( entryBuffer , mapV , ops ) ;
+} ;
+
+
+
+// Find a place for the entry and add the write to the operation list
+KVStore.prototype.insertEntryBuffer = function( entryBuffer , mapV , ops ) {
+	mapV.o = this.allocateBlock( entryBuffer.length , ops ) ;
 	mapV.s = entryBuffer.length ;
-	await this.file.write( entryBuffer , 0 , entryBuffer.length , mapV.o ) ;
+	ops.push( { offset: mapV.o , buffer: entryBuffer } ) ;
+} ;
+
+
+
+// Return the offset of a new block, the operation list receives what is needed if a free block was split
+KVStore.prototype.allocateBlock = function( blockSize , ops ) {
+	var offset , allocated = this.freeSpace.allocate( blockSize ) ;
+
+	if ( allocated ) {
+		// There is a free block, use it!
+		offset = allocated.offset ;
+		this.counters.freeBlockReuses ++ ;
+		//console.log( "re-use a free-block at offset:" , offset ) ;
+
+		if ( allocated.remainder ) {
+			// It was split, what remains should be made of valid free blocks
+			this.freeRegionHeaders( allocated.remainder , ops ) ;
+		}
+	}
+	else {
+		// Append it at the end of the file
+		offset = this.eof ;
+		this.eof += blockSize ;
+		//console.log( "insert at the end of the file:" , offset ) ;
+	}
+
+	return offset ;
 } ;
 
 
@@ -523,32 +3200,72 @@ KVStore.prototype.insertEntryBuffer = async function( entryBuffer , mapV ) {
 KVStore.prototype.deleteDB = async function( key , mapV ) {
 	if ( ! this.filePath ) { return null ; }
 
-	while ( this.inProgress ) { await this.inProgress ; }
+	await this.writeOps( ops => this.deleteOps( mapV , ops ) ) ;
+
+	await this.durable() ;
+} ;
+
 
-	this.inProgress = new Promise() ;
 
-	if ( ! this.file ) { await this.openDB() ; }
+KVStore.prototype.deleteOps = function( mapV , ops ) {
+	this.abortValueStreams( mapV , 'changed' ) ;
+	this.preserveForSnapshots( mapV ) ;
+
+	// The block does not exist anymore if a .clear() or a compaction happened in the meantime
+	if ( mapV.o !== null ) {
+		this.clearBlock( mapV , ops ) ;
+	}
+} ;
+
+
+
+// Add the write marking the block as free to the operation list
+KVStore.prototype.clearBlock = function( mapV , ops ) {
+	//console.log( "clear size:" , mapV.s ) ;
+	ops.push( { offset: mapV.o , buffer: this.freeBlockBuffer( mapV.s , mapV.s ) } ) ;
+
+	// Add that block to the free space, it is coalesced with its neighbors
+	this.freeSpace.add( mapV.o , mapV.s ) ;
+	this.reclaimTail( ops ) ;
+} ;
 
-	await this.clearBlock( mapV ) ;
 
-	this.inProgress.resolve() ;
-	this.inProgress = null ;
+
+// The header of a free block, the buffer is NUL-filled up to bufferSize
+KVStore.prototype.freeBlockBuffer = function( blockSize , bufferSize = this.checksum ? FREE_HEADER_SIZE + CRC_SIZE : FREE_HEADER_SIZE ) {
+	var buffer = Buffer.alloc( bufferSize ) ;
+
+	buffer.writeUInt8( this.blockSizeToFlags( blockSize , FLAG_FREE_BLOCK ) ) ;
+
+	if ( this.checksum ) {
+		buffer.writeUInt32BE( this.entryCrc( buffer , FREE_HEADER_SIZE , FREE_HEADER_SIZE + CRC_SIZE ) , FREE_HEADER_SIZE ) ;
+	}
+
+	return buffer ;
 } ;
 
 
 
-KVStore.prototype.clearBlock = async function( mapV ) {
-	var clearBuffer = Buffer.alloc( mapV.s ) ,
-		clearFlags = this.blockSizeToFlags( mapV.s , FLAG_FREE_BLOCK ) ;
+// Tile a free region with valid free blocks
+KVStore.prototype.freeRegionHeaders = function( region , ops ) {
+	var offset = region.offset ;
+
+	for ( let blockSize of FreeSpace.partition( region.size ) ) {
+		ops.push( { offset , buffer: this.freeBlockBuffer( blockSize ) } ) ;
+		offset += blockSize ;
+	}
+} ;
+
+
 
-	clearBuffer.writeUInt8( clearFlags ) ;
-	//console.log( "clear flags:" , clearFlags , "size:" , mapV.s ) ;
+// Free space at the end of the file is given back to the filesystem
+KVStore.prototype.reclaimTail = function( ops ) {
+	var offset = this.freeSpace.removeTrailing( this.eof ) ;
 
-	await this.file.write( clearBuffer , 0 , clearBuffer.length , mapV.o ) ;
+	if ( offset === null ) { return ; }
 
-	// Add that block to the list of free blocks
-	if ( ! this.freeBlocks[ mapV.s ] ) { this.freeBlocks[ mapV.s ] = [] ; }
-	this.freeBlocks[ mapV.s ].push( mapV.o ) ;
+	this.eof = offset ;
+	ops.push( { offset , truncate: true } ) ;
 } ;
 
 
@@ -556,27 +3273,65 @@ KVStore.prototype.clearBlock = async function( mapV ) {
 KVStore.prototype.updateDB = async function( key , mapV , value ) {
 	if ( ! this.filePath ) { return null ; }
 
-	while ( this.inProgress ) { await this.inProgress ; }
+	await this.writeOps( ops => this.updateOps( key , mapV , value , ops ) ) ;
+
+	await this.durable() ;
+} ;
 
-	this.inProgress = new Promise() ;
 
-	if ( ! this.file ) { await this.openDB() ; }
 
-	var entryBuffer = this.entryBuffer( key , value , mapV.s , ! this.inMemoryValues && mapV ) ;
+KVStore.prototype.updateOps = function( key , mapV , value , ops ) {
+	// Before anything is changed or allocated
+	this.checkEntry( key , value ) ;
+	this.abortValueStreams( mapV , 'changed' ) ;
+	this.preserveForSnapshots( mapV ) ;
+	if ( this.backupChanges ) { this.backupChanges.add( key ) ; }
+
+	var entryBuffer = this.entryBuffer( key , value , mapV.s , ! this.inMemoryValues && mapV , mapV.e ) ;
 	//console.log( entryBuffer ) ;
 
 	if ( entryBuffer.length > mapV.s ) {
-		// Re-allocate the block
-		await this.clearBlock( mapV ) ;
-		await this.insertEntryBuffer( entryBuffer , mapV ) ;
+		// Re-allocate the block, both writes are part of the same journal record
+		this.counters.relocations ++ ;
+		this.clearBlock( mapV , ops ) ;
+		this.insertEntryBuffer( entryBuffer , mapV , ops ) ;
 	}
 	else {
+		this.counters.updates ++ ;
 		mapV.s = entryBuffer.length ;
-		await this.file.write( entryBuffer , 0 , entryBuffer.length , mapV.o ) ;
+		ops.push( { offset: mapV.o , buffer: entryBuffer } ) ;
 	}
+} ;
+
+
+
+// Write all changes of a batch in one go
+KVStore.prototype.batchDB = async function( changes ) {
+	if ( ! this.filePath ) { return null ; }
+
+	await this.ioQueue.write( async () => {
+		await this.ensureOpen() ;
+
+		var ops = [] ;
+
+		for ( let change of changes ) {
+			switch ( change.type ) {
+				case 'insert' :
+					this.insertOps( change.key , change.mapV , change.rawValue , ops ) ;
+					break ;
+				case 'update' :
+					this.updateOps( change.key , change.mapV , change.rawValue , ops ) ;
+					break ;
+				case 'delete' :
+					this.deleteOps( change.mapV , ops ) ;
+					break ;
+			}
+		}
+
+		if ( ops.length ) { await this.writeDB( ops , true ) ; }
+	} ) ;
 
-	this.inProgress.resolve() ;
-	this.inProgress = null ;
+	await this.durable() ;
 } ;
 
 
@@ -584,17 +3339,168 @@ KVStore.prototype.updateDB = async function( key , mapV , value ) {
 KVStore.prototype.clearDB = async function() {
 	if ( ! this.filePath ) { return null ; }
 
-	while ( this.inProgress ) { await this.inProgress ; }
+	await this.ioQueue.write( async () => {
+		await this.ensureOpen() ;
+
+		for ( let snapshot of this.snapshots ) {
+			for ( let mapV of snapshot.pending.keys() ) { this.preserveForSnapshots( mapV ) ; }
+		}
+
+		await this.writeDB( [ { offset: this.dataOffset , truncate: true } ] ) ;
+		this.eof = this.dataOffset ;
+		this.freeSpace.clear() ;		// No more free blocks
+		for ( let mapV of this.pendingDeletes ) { mapV.o = null ; }
+	} ) ;
+
+	await this.durable() ;
+} ;
+
+
+
+// Queue a write task: buildOps( ops ) adds the operations to write, with write batching, it joins the current batch
+KVStore.prototype.writeOps = function( buildOps ) {
+	if ( this.writeBatching ) { return this.batchWrite( buildOps ) ; }
+
+	return this.ioQueue.write( async () => {
+		await this.ensureOpen() ;
+
+		var ops = [] ;
+		buildOps( ops ) ;
+		if ( ops.length ) { await this.writeDB( ops ) ; }
+	} ) ;
+} ;
+
+
+
+KVStore.prototype.batchWrite = function( buildOps ) {
+	var batch = this.writeBatch ,
+		write = { buildOps , promise: new Promise() } ;
+
+	// Joining is only possible if nothing was queued after the batch, so the queue order is preserved
+	if (
+		batch && batch.open && batch.writes.length < this.writeBatching.maxWrites
+		&& ( batch.started ? this.ioQueue.depth === 1 : this.ioQueue.isLast( batch.promise ) )
+	) {
+		batch.writes.push( write ) ;
+		return write.promise ;
+	}
+
+	batch = this.writeBatch = {
+		writes: [ write ] , open: true , started: false , promise: null
+	} ;
+
+	// Each write has its own promise, the task never rejects
+	batch.promise = this.ioQueue.write( () => this.runWriteBatch( batch ) ) ;
+	return write.promise ;
+} ;
+
+
+
+KVStore.prototype.runWriteBatch = async function( batch ) {
+	var write , writeOps , openError = null ,
+		ops = [] ,
+		built = [] ;
+
+	batch.started = true ;
+
+	try {
+		if ( this.writeBatching.window ) { await Promise.resolveTimeout( this.writeBatching.window ) ; }
+		await this.ensureOpen() ;
+	}
+	catch ( error ) {
+		openError = error ;
+	}
+
+	// Writes coming now go to the next batch
+	batch.open = false ;
+	if ( this.writeBatch === batch ) { this.writeBatch = null ; }
 
-	this.inProgress = new Promise() ;
+	if ( openError ) {
+		for ( write of batch.writes ) { write.promise.reject( openError ) ; }
+		return ;
+	}
+
+	// Builders check what they write before allocating anything: if one throws, only its caller is rejected
+	for ( write of batch.writes ) {
+		writeOps = [] ;
+
+		try {
+			write.buildOps( writeOps ) ;
+		}
+		catch ( error ) {
+			write.promise.reject( error ) ;
+			continue ;
+		}
 
-	if ( ! this.file ) { await this.openDB() ; }
+		ops.push( ... writeOps ) ;
+		built.push( write ) ;
+	}
 
-	await this.file.truncate() ;
-	this.eof = 0 ;
-	this.freeBlocks = {} ;		// No more free blocks
+	try {
+		if ( ops.length ) { await this.writeDB( mergeAdjacentWrites( ops ) ) ; }
+	}
+	catch ( error ) {
+		for ( write of built ) { write.promise.reject( error ) ; }
+		return ;
+	}
 
-	this.inProgress.resolve() ;
-	this.inProgress = null ;
+	for ( write of built ) { write.promise.resolve() ; }
 } ;
 
+
+
+// Merge consecutive writes that are contiguous in the file (e.g. appends at eof) into one write
+function mergeAdjacentWrites( ops ) {
+	var op , last = null , merged = [] ;
+
+	for ( op of ops ) {
+		if ( ! op.truncate && last && last.buffers && op.offset === last.end ) {
+			last.buffers.push( op.buffer ) ;
+			last.end += op.buffer.length ;
+			continue ;
+		}
+
+		last = op.truncate ? op : { offset: op.offset , end: op.offset + op.buffer.length , buffers: [ op.buffer ] } ;
+		merged.push( last ) ;
+	}
+
+	return merged.map( item => {
+		if ( ! item.buffers ) { return item ; }
+		return { offset: item.offset , buffer: item.buffers.length === 1 ? item.buffers[ 0 ] : Buffer.concat( item.buffers ) } ;
+	} ) ;
+}
+
+
+
+// Apply a list of operations to the DB file, if there is a journal, they are recorded first.
+// If atomic is set and there is no journal, they are recorded in the batch journal.
+KVStore.prototype.writeDB = async function( ops , atomic = false ) {
+	await this.dropHintFile() ;
+
+	// Values still needed by exports are read before being overwritten
+	if ( this.snapshotReads.length ) { await this.readSnapshotValues() ; }
+
+	if ( this.journal ) {
+		await this.journal.append( ops ) ;
+		await Journal.applyOps( this.file , ops ) ;
+		await this.journal.checkpointIfNeeded( this.file ) ;
+	}
+	else if ( atomic && this.batchJournalPath ) {
+		if ( ! this.batchJournal ) {
+			this.batchJournal = new Journal( this.batchJournalPath ) ;
+			await this.batchJournal.open() ;
+		}
+
+		await this.batchJournal.append( ops ) ;
+		await Journal.applyOps( this.file , ops ) ;
+
+		// The DB file is fsynced, so the record can be dropped
+		await this.batchJournal.checkpoint( this.file ) ;
+		this.dirty = false ;
+	}
+	else {
+		await Journal.applyOps( this.file , ops ) ;
+		this.dirty = true ;
+		if ( this.durability === 'fsync-per-write' ) { await this.syncFile() ; }
+	}
+} ;
@@ -0,0 +1,128 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+/*
+	A least recently used cache, bounded by a number of entries and/or a total size in bytes.
+	It relies on Map keeping insertion order: an entry is moved to the end when used, the first entry is the oldest.
+*/
+
+const DEFAULT_MAX_ENTRIES = 1000 ;
+
+
+
+function LRUCache( options = {} ) {
+	this.maxEntries = options.maxEntries || ( options.maxBytes ? Infinity : DEFAULT_MAX_ENTRIES ) ;
+	this.maxBytes = options.maxBytes || Infinity ;
+	this.entries = new Map() ;	// key -> { value , size }
+	this.bytes = 0 ;
+	this.hits = 0 ;
+	this.misses = 0 ;
+
+	Object.defineProperties( this , {
+		size: {
+			get: function() { return this.entries.size ; }
+		}
+	} ) ;
+}
+
+module.exports = LRUCache ;
+
+
+
+LRUCache.prototype.has = function( key ) {
+	return this.entries.has( key ) ;
+} ;
+
+
+
+// Return the value and count a hit, or count a miss and return undefined
+LRUCache.prototype.get = function( key ) {
+	var entry = this.entries.get( key ) ;
+
+	if ( ! entry ) {
+		this.misses ++ ;
+		return ;
+	}
+
+	this.hits ++ ;
+
+	// Most recently used: move it to the end
+	this.entries.delete( key ) ;
+	this.entries.set( key , entry ) ;
+
+	return entry.value ;
+} ;
+
+
+
+LRUCache.prototype.set = function( key , value , size = 0 ) {
+	this.delete( key ) ;
+
+	// Too big, it would evict everything else
+	if ( size > this.maxBytes ) { return ; }
+
+	this.entries.set( key , { value , size } ) ;
+	this.bytes += size ;
+
+	while ( this.entries.size > this.maxEntries || this.bytes > this.maxBytes ) {
+		this.delete( this.entries.keys().next().value ) ;
+	}
+} ;
+
+
+
+LRUCache.prototype.delete = function( key ) {
+	var entry = this.entries.get( key ) ;
+
+	if ( ! entry ) { return false ; }
+
+	this.entries.delete( key ) ;
+	this.bytes -= entry.size ;
+	return true ;
+} ;
+
+
+
+LRUCache.prototype.clear = function() {
+	this.entries.clear() ;
+	this.bytes = 0 ;
+} ;
+
+
+
+LRUCache.prototype.stats = function() {
+	return {
+		entries: this.entries.size ,
+		bytes: this.bytes ,
+		hits: this.hits ,
+		misses: this.misses ,
+		hitRatio: this.hits + this.misses ? this.hits / ( this.hits + this.misses ) : 0
+	} ;
+} ;
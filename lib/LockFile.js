@@ -0,0 +1,188 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const fs = require( 'fs' ) ;
+const fsPromise = fs.promises ;
+
+
+
+/*
+	An exclusive lock, as a file containing the PID of its owner.
+
+	The file is first written under a temporary name, then hard-linked to the lock path:
+	linking fails if the lock already exists, and the lock file is never seen half-written.
+	A lock whose owner is not running anymore is stale (the process crashed): it is removed and taken over.
+	It is first renamed to a name of its own, so only one process takes it over, and its owner is checked again:
+	it may have been replaced by a fresh lock since it was found stale.
+	PIDs are only meaningful on the same host, the lock should not be used on a shared network filesystem.
+*/
+
+function LockFile( filePath ) {
+	this.filePath = filePath ;
+	this.locked = false ;
+}
+
+module.exports = LockFile ;
+
+
+
+// Lock files still held when the process exits are removed
+const heldLocks = new Set() ;
+
+process.on( 'exit' , () => {
+	for ( let filePath of heldLocks ) {
+		try { fs.unlinkSync( filePath ) ; }
+		catch ( error ) {}
+	}
+} ) ;
+
+
+
+LockFile.prototype.acquire = async function() {
+	var pid ,
+		tmpPath = this.filePath + '.' + process.pid + '.tmp' ,
+		stalePath = this.filePath + '.' + process.pid + '.stale' ;
+
+	if ( this.locked ) { return ; }
+
+	await fsPromise.writeFile( tmpPath , '' + process.pid ) ;
+
+	try {
+		for ( ;; ) {
+			try {
+				await fsPromise.link( tmpPath , this.filePath ) ;
+				break ;
+			}
+			catch ( error ) {
+				if ( error.code !== 'EEXIST' ) { throw error ; }
+			}
+
+			pid = await this.readOwner() ;
+
+			if ( pid && LockFile.isRunning( pid ) ) {
+				throw new StoreLockedError( this.filePath , pid ) ;
+			}
+
+			// Stale lock, or removed in the meantime
+			try {
+				await fsPromise.rename( this.filePath , stalePath ) ;
+			}
+			catch ( error ) {
+				// Another process moved it first: try again
+				if ( error.code === 'ENOENT' ) { continue ; }
+				throw error ;
+			}
+
+			pid = await readPid( stalePath ) ;
+
+			if ( pid && LockFile.isRunning( pid ) ) {
+				// That was a fresh lock, put it back (unless the lock was taken again in the meantime)
+				try { await fsPromise.link( stalePath , this.filePath ) ; }
+				catch ( error ) {}
+
+				throw new StoreLockedError( this.filePath , pid ) ;
+			}
+		}
+	}
+	finally {
+		try { await fsPromise.unlink( tmpPath ) ; }
+		catch ( error ) {}
+
+		try { await fsPromise.unlink( stalePath ) ; }
+		catch ( error ) {}
+	}
+
+	this.locked = true ;
+	heldLocks.add( this.filePath ) ;
+} ;
+
+
+
+LockFile.prototype.release = async function() {
+	if ( ! this.locked ) { return ; }
+
+	this.locked = false ;
+	heldLocks.delete( this.filePath ) ;
+
+	try { await fsPromise.unlink( this.filePath ) ; }
+	catch ( error ) {}
+} ;
+
+
+
+// Return the PID of the owner of the lock, or null if there is no lock file or it is invalid
+LockFile.prototype.readOwner = function() {
+	return readPid( this.filePath ) ;
+} ;
+
+
+
+async function readPid( filePath ) {
+	var pid ;
+
+	try {
+		pid = parseInt( await fsPromise.readFile( filePath , 'utf8' ) , 10 ) ;
+	}
+	catch ( error ) {
+		return null ;
+	}
+
+	return pid > 0 ? pid : null ;
+}
+
+
+
+LockFile.isRunning = function( pid ) {
+	try {
+		// Signal 0 does nothing, but it still checks if the process exists
+		process.kill( pid , 0 ) ;
+		return true ;
+	}
+	catch ( error ) {
+		// EPERM: it exists, but it belongs to another user
+		return error.code === 'EPERM' ;
+	}
+} ;
+
+
+
+function StoreLockedError( filePath , pid ) {
+	this.message = "The store is locked by the process " + pid + " (lock file: '" + filePath + "')" ;
+	this.lockPath = filePath ;
+	this.pid = pid ;
+	Error.captureStackTrace( this , StoreLockedError ) ;
+}
+
+StoreLockedError.prototype = Object.create( Error.prototype ) ;
+StoreLockedError.prototype.constructor = StoreLockedError ;
+StoreLockedError.prototype.name = 'StoreLockedError' ;
+StoreLockedError.prototype.code = 'locked' ;
+
+LockFile.StoreLockedError = StoreLockedError ;
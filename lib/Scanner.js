@@ -0,0 +1,150 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+/*
+	Buffered block reader of a DB file, for sequential scans: the file is read by big chunks, parsed in memory.
+	Blocks that don't fit in a chunk are read alone by KVStore#readBlock().
+	The file must not be written while it is used (e.g. run it in a read task of the I/O queue).
+
+	Options:
+		withValues: blocks have their value too (see KVStore#scanBlocks())
+		chunkSize: the size of reads (default: 4MB)
+		onProgress( scanned , total ): called after each read, in bytes of the DB file
+*/
+function Scanner( store , options = {} ) {
+	this.store = store ;
+	this.withValues = !! options.withValues ;
+	this.onProgress = options.onProgress || null ;
+
+	this.buffer = Buffer.allocUnsafe( options.chunkSize || DEFAULT_CHUNK_SIZE ) ;
+	this.bufferOffset = 0 ;		// The file offset of the buffer start
+	this.bufferLength = 0 ;		// How many bytes of the buffer are from the file
+	this.bigBuffer = null ;		// For blocks bigger than the buffer
+	this.scanned = 0 ;			// Where the file was read up to, for progress
+}
+
+module.exports = Scanner ;
+
+
+
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024 ;
+const HEADER_READ_SIZE = 64 ;	// More than the biggest entry header
+
+
+
+// Read and check the block at that offset, like KVStore#readBlock()
+Scanner.prototype.readBlock = async function( offset ) {
+	var block , position , readEnd ,
+		store = this.store ,
+		headerLength = Math.min( HEADER_READ_SIZE , store.eof - offset ) ;
+
+	position = await this.fill( offset , headerLength ) ;
+	block = store.parseBlockHeader( this.buffer.slice( position , position + headerLength ) , headerLength ) ;
+	block.offset = offset ;
+
+	if ( block.error ) { return block ; }
+
+	if ( offset + block.size > store.eof ) {
+		block.error = "block overflows the end of file" ;
+		return block ;
+	}
+
+	if ( block.free ) { return block ; }
+
+	// The whole entry is needed to check the CRC or to decrypt it
+	readEnd = this.withValues || store.fileHasCrc() || block.encryptionOffset !== null ? block.entrySize : block.valueOffset ;
+
+	if ( readEnd > this.buffer.length ) {
+		if ( ! this.bigBuffer ) { this.bigBuffer = Buffer.allocUnsafe( HEADER_READ_SIZE ) ; }
+		block = await store.readBlock( offset , this.bigBuffer , this.withValues ) ;
+		this.bigBuffer = block.buffer ;
+		this.progress( offset + block.size ) ;
+		return block ;
+	}
+
+	position = await this.fill( offset , readEnd ) ;
+	block.buffer = this.buffer.slice( position , position + readEnd ) ;
+
+	if ( readEnd === block.entrySize && ( store.fileHasCrc() || block.encryptionOffset !== null ) ) {
+		block.error = store.decodeEntry( block.buffer , block ) ;
+
+		if ( block.error ) {
+			// It is decrypted in place: those bytes are read again for a resync
+			await store.file.read( this.buffer , position , readEnd , offset ) ;
+			return block ;
+		}
+	}
+
+	store.decodeBlockKeyValue( block.buffer , block , this.withValues ) ;
+	return block ;
+} ;
+
+
+
+// Make sure that part of the file is in the buffer, return its position in the buffer
+Scanner.prototype.fill = async function( offset , length ) {
+	var kept = 0 , bytesRead ,
+		end = this.bufferOffset + this.bufferLength ;
+
+	if ( offset >= this.bufferOffset && offset + length <= end ) { return offset - this.bufferOffset ; }
+
+	// What is already read is moved to the start
+	if ( offset >= this.bufferOffset && offset < end ) {
+		kept = end - offset ;
+		this.buffer.copy( this.buffer , 0 , offset - this.bufferOffset , this.bufferLength ) ;
+	}
+
+	( { bytesRead } = await this.store.file.read(
+		this.buffer , kept ,
+		Math.min( this.buffer.length , this.store.eof - offset ) - kept ,
+		offset + kept
+	) ) ;
+
+	this.bufferOffset = offset ;
+	this.bufferLength = kept + bytesRead ;
+	this.progress( offset + this.bufferLength ) ;
+
+	return 0 ;
+} ;
+
+
+
+Scanner.prototype.progress = function( scanned ) {
+	if ( ! this.onProgress || scanned <= this.scanned ) { return ; }
+	this.scanned = scanned ;
+	this.onProgress( Math.min( scanned , this.store.eof ) , this.store.eof ) ;
+} ;
+
+
+
+// Report the end of the scan, if it was not already
+Scanner.prototype.done = function() {
+	this.progress( this.store.eof ) ;
+} ;
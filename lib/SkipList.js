@@ -0,0 +1,202 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+/*
+	A sorted set of string keys, as a skip list.
+
+	Each node has a forward link for each of its levels, and a backward link on the bottom level for reverse scans.
+	Levels are random: a node has a 1/4 chance to reach the next level, so searches are O(log n) on average.
+*/
+
+const MAX_LEVEL = 32 ;
+const LEVEL_PROBABILITY = 0.25 ;
+
+
+
+function SkipList() {
+	this.head = createNode( null , MAX_LEVEL ) ;
+	this.tail = null ;	// The last node, for reverse scans
+	this.level = 1 ;	// Current number of levels in use
+	this.size = 0 ;
+}
+
+module.exports = SkipList ;
+
+
+
+function createNode( key , level ) {
+	return { key , next: new Array( level ).fill( null ) , prev: null } ;
+}
+
+
+
+function randomLevel() {
+	var level = 1 ;
+	while ( level < MAX_LEVEL && Math.random() < LEVEL_PROBABILITY ) { level ++ ; }
+	return level ;
+}
+
+
+
+// Fill update with the last node before key on each level, return the first node not before key
+SkipList.prototype.search = function( key , update = null ) {
+	var level , node = this.head ;
+
+	for ( level = this.level - 1 ; level >= 0 ; level -- ) {
+		while ( node.next[ level ] && node.next[ level ].key < key ) { node = node.next[ level ] ; }
+		if ( update ) { update[ level ] = node ; }
+	}
+
+	return node.next[ 0 ] ;
+} ;
+
+
+
+SkipList.prototype.has = function( key ) {
+	var node = this.search( key ) ;
+	return !! node && node.key === key ;
+} ;
+
+
+
+// Return false if it was already there
+SkipList.prototype.add = function( key ) {
+	var level , newLevel , node ,
+		update = new Array( MAX_LEVEL ) ;
+
+	node = this.search( key , update ) ;
+	if ( node && node.key === key ) { return false ; }
+
+	newLevel = randomLevel() ;
+
+	if ( newLevel > this.level ) {
+		for ( level = this.level ; level < newLevel ; level ++ ) { update[ level ] = this.head ; }
+		this.level = newLevel ;
+	}
+
+	node = createNode( key , newLevel ) ;
+
+	for ( level = 0 ; level < newLevel ; level ++ ) {
+		node.next[ level ] = update[ level ].next[ level ] ;
+		update[ level ].next[ level ] = node ;
+	}
+
+	node.prev = update[ 0 ] === this.head ? null : update[ 0 ] ;
+	if ( node.next[ 0 ] ) { node.next[ 0 ].prev = node ; }
+	else { this.tail = node ; }
+
+	this.size ++ ;
+	return true ;
+} ;
+
+
+
+// Return false if it was not there
+SkipList.prototype.delete = function( key ) {
+	var level , node ,
+		update = new Array( MAX_LEVEL ) ;
+
+	node = this.search( key , update ) ;
+	if ( ! node || node.key !== key ) { return false ; }
+
+	for ( level = 0 ; level < this.level && update[ level ].next[ level ] === node ; level ++ ) {
+		update[ level ].next[ level ] = node.next[ level ] ;
+	}
+
+	if ( node.next[ 0 ] ) { node.next[ 0 ].prev = node.prev ; }
+	else { this.tail = node.prev ; }
+
+	while ( this.level > 1 && ! this.head.next[ this.level - 1 ] ) { this.level -- ; }
+
+	this.size -- ;
+	return true ;
+} ;
+
+
+
+SkipList.prototype.clear = function() {
+	this.head = createNode( null , MAX_LEVEL ) ;
+	this.tail = null ;
+	this.level = 1 ;
+	this.size = 0 ;
+} ;
+
+
+
+SkipList.prototype[ Symbol.iterator ] = function() { return this.range() ; } ;
+
+
+
+/*
+	Iterate keys in order, options:
+		gte, gt: lower bound, inclusive or exclusive
+		lte, lt: upper bound, inclusive or exclusive
+		reverse: iterate from the upper bound down to the lower bound
+*/
+SkipList.prototype.range = function *( options = {} ) {
+	var node ,
+		inLower = key => options.gt !== undefined ? key > options.gt : options.gte === undefined || key >= options.gte ,
+		inUpper = key => options.lt !== undefined ? key < options.lt : options.lte === undefined || key <= options.lte ;
+
+	if ( options.reverse ) {
+		node = this.lastInUpperBound( options ) ;
+
+		for ( ; node && inLower( node.key ) ; node = node.prev ) {
+			yield node.key ;
+		}
+	}
+	else {
+		node = options.gt !== undefined || options.gte !== undefined ?
+			this.search( options.gt !== undefined ? options.gt : options.gte ) :
+			this.head.next[ 0 ] ;
+
+		// .search() stops on the first key not before the bound, it may still be excluded
+		if ( node && ! inLower( node.key ) ) { node = node.next[ 0 ] ; }
+
+		for ( ; node && inUpper( node.key ) ; node = node.next[ 0 ] ) {
+			yield node.key ;
+		}
+	}
+} ;
+
+
+
+SkipList.prototype.lastInUpperBound = function( options ) {
+	var node ;
+
+	if ( options.lt === undefined && options.lte === undefined ) { return this.tail ; }
+
+	node = this.search( options.lt !== undefined ? options.lt : options.lte ) ;
+
+	// Now node is the first key not before the bound
+	if ( options.lt === undefined && node && node.key === options.lte ) { return node ; }
+
+	return node ? node.prev : this.tail ;
+} ;
@@ -0,0 +1,112 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const Promise = require( 'seventh' ) ;
+
+
+
+/*
+	A transaction buffers changes, reading through it sees them, the store itself does not.
+	On commit, all changes are applied as one batch.
+	There is no isolation: what is not changed by the transaction is read from the store as it is at that time.
+*/
+
+function Transaction( store ) {
+	this.store = store ;
+	this.changes = new Map() ;	// key -> operation
+	this.done = false ;
+}
+
+module.exports = Transaction ;
+
+
+
+Transaction.prototype.has = function( key ) {
+	this.checkDone() ;
+
+	var change = this.changes.get( key ) ;
+	if ( change ) { return change.type === 'set' ; }
+
+	return this.store.has( key ) ;
+} ;
+
+
+
+// Same return type than the store: a promise if values are not in memory
+Transaction.prototype.get = function( key ) {
+	this.checkDone() ;
+
+	var change = this.changes.get( key ) ;
+	if ( ! change ) { return this.store.get( key ) ; }
+
+	var value = change.type === 'set' ? this.store.prepareValue( change.value ).value : undefined ;
+	return this.store.inMemoryValues ? value : Promise.resolve( value ) ;
+} ;
+
+
+
+Transaction.prototype.set = function( key , value , options = null ) {
+	this.checkDone() ;
+
+	// Re-insert the key, so the last change comes last in the batch
+	this.changes.delete( key ) ;
+	this.changes.set( key , {
+		type: 'set' , key , value , ttl: options && options.ttl
+	} ) ;
+} ;
+
+
+
+Transaction.prototype.delete = function( key ) {
+	this.checkDone() ;
+	this.changes.delete( key ) ;
+	this.changes.set( key , { type: 'delete' , key } ) ;
+} ;
+
+
+
+Transaction.prototype.commit = async function() {
+	this.checkDone() ;
+	this.done = true ;
+	await this.store.batch( [ ... this.changes.values() ] ) ;
+} ;
+
+
+
+Transaction.prototype.rollback = function() {
+	this.done = true ;
+	this.changes.clear() ;
+} ;
+
+
+
+Transaction.prototype.checkDone = function() {
+	if ( this.done ) { throw new Error( "This transaction is already committed or rolled back" ) ; }
+} ;
@@ -0,0 +1,122 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const Readable = require( 'stream' ).Readable ;
+
+
+
+/*
+	Stream the value of a key from the DB file, chunk by chunk, only used when .inMemoryValues is false.
+	Each chunk is read by its own read operation of the store's I/O queue, so writes are not blocked for long.
+	If the entry is changed or deleted before the end, the stream is destroyed with an error having code: 'changed'.
+	Checksum and authentication are only known once the whole value is read: such errors come at the end.
+	Compressed values are inflated by .createValueReadStream(), this stream gives the value as stored.
+*/
+
+function ValueReadStream( store , key , mapV , options = {} ) {
+	Readable.call( this , { highWaterMark: options.highWaterMark } ) ;
+
+	this.store = store ;
+	this.key = key ;
+	this.mapV = mapV ;
+	this.chunkSize = options.chunkSize ;
+	this.position = 0 ;		// Position in the value
+	this.decoder = null ;	// Check (and decrypt) the value, if needed
+
+	store.valueReadStreams.add( this ) ;
+}
+
+ValueReadStream.prototype = Object.create( Readable.prototype ) ;
+ValueReadStream.prototype.constructor = ValueReadStream ;
+
+module.exports = ValueReadStream ;
+
+
+
+ValueReadStream.prototype._read = function() {
+	this.store.ioQueue.read( () => this.readChunk() ).then(
+		chunk => {
+			if ( this.destroyed ) { return ; }
+			if ( chunk ) { this.push( chunk ) ; }
+			if ( this.position >= this.mapV.vs ) { this.push( null ) ; }
+		} ,
+		error => this.destroy( error )
+	) ;
+} ;
+
+
+
+ValueReadStream.prototype._destroy = function( error , callback ) {
+	this.store.valueReadStreams.delete( this ) ;
+	callback( error ) ;
+} ;
+
+
+
+// Run as a read of the I/O queue, return the next chunk, or null if there is nothing more
+ValueReadStream.prototype.readChunk = async function() {
+	var chunk , length , error ,
+		mapV = this.mapV ,
+		file = this.store.file ;
+
+	if ( this.destroyed ) { return null ; }
+
+	if ( ! file ) {
+		error = new Error( "The store was closed" ) ;
+		error.code = 'closed' ;
+		throw error ;
+	}
+
+	if ( this.position === 0 && ! this.decoder && ( this.store.checksum || mapV.x ) ) {
+		// The whole header is needed to check or decrypt
+		let header = Buffer.allocUnsafe( mapV.vo ) ,
+			block ;
+
+		await file.read( header , 0 , mapV.vo , mapV.o ) ;
+		block = this.store.parseBlockHeader( header , mapV.vo ) ;
+		if ( block.error ) { throw this.store.entryCorruptionError( this.key , mapV , block.error ) ; }
+		this.decoder = this.store.entryDecoder( header , block ) ;
+	}
+
+	if ( this.position < mapV.vs ) {
+		length = Math.min( this.chunkSize , mapV.vs - this.position ) ;
+		chunk = Buffer.allocUnsafe( length ) ;
+		await file.read( chunk , 0 , length , mapV.o + mapV.vo + this.position ) ;
+		this.position += length ;
+		if ( this.decoder ) { chunk = this.decoder.update( chunk ) ; }
+	}
+
+	if ( this.position >= mapV.vs && this.decoder ) {
+		error = this.decoder.final() ;
+		if ( error ) { throw this.store.entryCorruptionError( this.key , mapV , error ) ; }
+	}
+
+	return chunk || null ;
+} ;
@@ -0,0 +1,244 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const Writable = require( 'stream' ).Writable ;
+
+
+
+/*
+	Stream a value of a known size into the DB file, only used when .inMemoryValues is false.
+	A block is reserved first, and marked as free on the disk: the value is written into it chunk by chunk,
+	and the entry header is only written at the end, so the file is valid at any time, and the old value
+	is still there until then. If the stream is destroyed before its end, the block is given back.
+	Such values are never compressed.
+*/
+
+function ValueWriteStream( store , key , options = {} ) {
+	Writable.call( this , { highWaterMark: options.highWaterMark } ) ;
+
+	this.store = store ;
+	this.key = key ;
+	this.size = options.size ;
+	this.expire = options.ttl ? Date.now() + options.ttl : 0 ;
+	this.written = 0 ;
+
+	this.reserving = null ;	// The promise of the block reservation, done on the first write
+	this.offset = null ;	// The offset of the reserved block, null once it's not owned anymore
+	this.committing = false ;	// The entry is in the map, its header is being written
+	this.blockSize = null ;
+	this.layout = null ;
+	this.header = null ;	// The entry up to the value
+	this.encoder = null ;	// Compute the CRC and encrypt, if needed
+
+	store.valueWriteStreams.add( this ) ;
+}
+
+ValueWriteStream.prototype = Object.create( Writable.prototype ) ;
+ValueWriteStream.prototype.constructor = ValueWriteStream ;
+
+module.exports = ValueWriteStream ;
+
+
+
+ValueWriteStream.prototype._write = function( chunk , encoding , callback ) {
+	var error , position = this.written ;
+
+	if ( this.written + chunk.length > this.size ) {
+		error = new Error( "Stream too long for the value of key '" + this.key + "', its announced size is " + this.size ) ;
+		error.code = 'sizeMismatch' ;
+		callback( error ) ;
+		return ;
+	}
+
+	this.written += chunk.length ;
+
+	this.writeChunk( chunk , position ).then( () => callback() , callback ) ;
+} ;
+
+
+
+ValueWriteStream.prototype._final = function( callback ) {
+	var error ;
+
+	if ( this.written !== this.size ) {
+		error = new Error( "Stream too short for the value of key '" + this.key + "', its announced size is " + this.size ) ;
+		error.code = 'sizeMismatch' ;
+		callback( error ) ;
+		return ;
+	}
+
+	this.commit().then( () => callback() , callback ) ;
+} ;
+
+
+
+ValueWriteStream.prototype._destroy = function( error , callback ) {
+	var offset = this.offset ,
+		store = this.store ;
+
+	store.valueWriteStreams.delete( this ) ;
+
+	if ( offset === null ) {
+		callback( error ) ;
+		return ;
+	}
+
+	// Give the reserved block back, it is already marked as free on the disk
+	this.offset = null ;
+
+	store.ioQueue.write( async () => {
+		var ops = [] ;
+		store.freeSpace.add( offset , this.blockSize ) ;
+		store.reclaimTail( ops ) ;
+		if ( ops.length ) { await store.writeDB( ops ) ; }
+	} ).then( () => callback( error ) , () => callback( error ) ) ;
+} ;
+
+
+
+ValueWriteStream.prototype.reserveOnce = function() {
+	if ( ! this.reserving ) { this.reserving = this.store.ioQueue.write( () => this.reserve() ) ; }
+	return this.reserving ;
+} ;
+
+
+
+// Run as a write of the I/O queue
+ValueWriteStream.prototype.reserve = async function() {
+	var flags ,
+		store = this.store ,
+		ops = [] ;
+
+	await store.ensureOpen() ;
+
+	// Aborted before it started
+	if ( this.destroyed ) { return ; }
+
+	this.layout = store.entryLayout( Buffer.byteLength( this.key ) , this.size , this.expire ) ;
+	flags = store.blockSizeToFlags( this.layout.entrySize , 0 ) ;
+	this.blockSize = store.extractBlockSize( flags ) ;
+	this.header = Buffer.allocUnsafe( this.layout.valueOffset ) ;
+	store.writeEntryHeader( this.header , flags , this.key , this.layout ) ;
+	this.encoder = store.entryEncoder( this.header , this.layout ) ;
+
+	this.offset = store.allocateBlock( this.blockSize , ops ) ;
+	ops.push( { offset: this.offset , buffer: store.freeBlockBuffer( this.blockSize ) } ) ;
+
+	// It was appended: the file is extended, or it would end before the block
+	if ( this.offset + this.blockSize === store.eof ) { ops.push( { offset: store.eof , truncate: true } ) ; }
+
+	await store.writeDB( ops ) ;
+} ;
+
+
+
+ValueWriteStream.prototype.writeChunk = async function( chunk , position ) {
+	await this.reserveOnce() ;
+
+	return this.store.ioQueue.write( async () => {
+		if ( this.offset === null ) { return ; }
+		chunk = this.encoder.update( chunk ) ;
+		await this.store.file.write( chunk , 0 , chunk.length , this.offset + this.layout.valueOffset + position ) ;
+	} ) ;
+} ;
+
+
+
+// Replace the entry by the streamed one, the same way .set() does
+ValueWriteStream.prototype.commit = async function() {
+	// Nothing was written if the value is empty
+	await this.reserveOnce() ;
+
+	var store = this.store ,
+		key = this.key ,
+		oldMapV = store.map.get( key ) ,
+		mapV = { o: this.offset , s: this.blockSize } ;
+
+	store.populateMapV( mapV , this.layout ) ;
+
+	if ( this.expire ) {
+		mapV.e = this.expire ;
+		store.expiring.add( key ) ;
+	}
+	else {
+		store.expiring.delete( key ) ;
+	}
+
+	if ( oldMapV ) { store.pendingDeletes.add( oldMapV ) ; }
+	if ( store.cache ) { store.cache.delete( key ) ; }
+	store.mapSet( key , mapV ) ;
+	store.counters.inserts ++ ;
+
+	// The block now belongs to the entry, but the stream stays registered until its header is written,
+	// so no compaction can move the block in the meantime
+	this.offset = null ;
+	this.committing = true ;
+
+	try {
+		await store.ioQueue.write( async () => {
+			var ops = [] ,
+				offset = mapV.o ;
+
+			this.encoder.final() ;
+			await this.fillTail( offset ) ;
+
+			// The value was written outside of the journal, it must be on the disk before the header is committed
+			if ( store.journal || store.durability !== 'none' ) { await store.file.sync() ; }
+
+			ops.push( { offset , buffer: this.header } ) ;
+			if ( oldMapV ) { store.deleteOps( oldMapV , ops ) ; }
+			await store.writeDB( ops ) ;
+		} ) ;
+
+		await store.durable() ;
+	}
+	finally {
+		store.valueWriteStreams.delete( this ) ;
+		if ( oldMapV ) { store.pendingDeletes.delete( oldMapV ) ; }
+	}
+
+	// The value is not known, and the old one is not retrieved: they could be too big
+	store.emit( 'set' , key , undefined , undefined ) ;
+	store.startAutoCompact() ;
+} ;
+
+
+
+// Fill with NUL what remains after the entry, avoid having older data (maybe sensitive) remaining
+ValueWriteStream.prototype.fillTail = async function( offset ) {
+	var length ,
+		position = this.layout.entrySize ,
+		zeros = Buffer.alloc( Math.min( this.blockSize - position , 64 * 1024 ) ) ;
+
+	for ( ; position < this.blockSize ; position += length ) {
+		length = Math.min( zeros.length , this.blockSize - position ) ;
+		await this.store.file.write( zeros , 0 , length , offset + position ) ;
+	}
+} ;
@@ -0,0 +1,524 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const KVStore = require( './KVStore.js' ) ;
+const exportFormats = require( './exportFormats.js' ) ;
+
+const fs = require( 'fs' ) ;
+const stream = require( 'stream' ) ;
+const readline = require( 'readline' ) ;
+
+
+
+/*
+	The ukvstore command line tool: cli( args , [io] ) runs one command and return a promise of the exit code.
+	io is { stdin , stdout , stderr }, by default the process ones.
+*/
+
+const EXIT_OK = 0 ;
+const EXIT_NOT_FOUND = 1 ;	// Also used when verify finds bad blocks
+const EXIT_USAGE = 2 ;
+const EXIT_ERROR = 3 ;
+
+const USAGE = `Usage: ukvstore <command> <db-file> [arguments] [options]
+
+Commands:
+  get <key>            Output the value of a key
+  set <key> [value]    Set the value of a key, read from stdin if missing or '-'
+  del <key>            Delete a key
+  keys                 List keys, in key order
+  dump                 Export all entries (to stdout by default)
+  load                 Import entries from an export (from stdin by default)
+  stat                 Output statistics about the store, --analyze walks the file for more
+  verify               Check the whole file, without loading it
+  compact              Compact the file
+  backup <dest-file>   Copy the store to another DB file, it locks the store like writes do
+  shell                Run an interactive shell, or commands read from stdin
+
+Options:
+  --json               Machine-readable output, values are encoded like in NDJSON exports
+  --buffer-values      Values are Buffer (default: as recorded in the file)
+  --in-memory-values   Load values in memory (default: read from the file when needed)
+  --read-only          Don't lock the file, read commands always do that
+  --journal[=path]     Use the write-ahead journal (default path: <db-file>.journal)
+  --hint-file          Load from <db-file>.hint when up to date, and write it on close
+  --key <hex>          The encryption key (default: the UKVSTORE_KEY environment variable)
+  --prefix <prefix>    keys: only those starting with the prefix
+  --limit <count>      keys: at most that many keys
+  --ttl <ms>           set: the time to live of the key
+  --format <format>    dump: 'ndjson' (default) or 'binary'
+  --output <path>      dump: write to that file
+  --input <path>       load: read from that file
+` ;
+
+const VALUE_OPTIONS = new Set( [ 'key' , 'prefix' , 'limit' , 'ttl' , 'format' , 'output' , 'input' ] ) ;
+const OPTIONAL_VALUE_OPTIONS = new Set( [ 'journal' ] ) ;
+const BOOLEAN_OPTIONS = new Set( [ 'json' , 'buffer-values' , 'in-memory-values' , 'read-only' , 'hint-file' , 'analyze' , 'help' ] ) ;
+
+
+
+function usageError( message ) {
+	var error = new Error( message ) ;
+	error.code = 'usage' ;
+	return error ;
+}
+
+
+
+// Split arguments into positional ones and options
+function parseArgs( args ) {
+	var arg , name , value , index ,
+		positional = [] ,
+		options = {} ;
+
+	for ( index = 0 ; index < args.length ; index ++ ) {
+		arg = args[ index ] ;
+
+		if ( ! arg.startsWith( '--' ) || arg === '--' ) {
+			positional.push( arg ) ;
+			continue ;
+		}
+
+		[ name , value ] = arg.slice( 2 ).split( /=(.*)/ ) ;
+
+		if ( VALUE_OPTIONS.has( name ) ) {
+			if ( value === undefined ) {
+				if ( index + 1 >= args.length ) { throw usageError( "Option --" + name + " needs a value" ) ; }
+				value = args[ ++ index ] ;
+			}
+		}
+		else if ( OPTIONAL_VALUE_OPTIONS.has( name ) ) {
+			if ( value === undefined ) { value = true ; }
+		}
+		else if ( BOOLEAN_OPTIONS.has( name ) ) {
+			if ( value !== undefined ) { throw usageError( "Option --" + name + " has no value" ) ; }
+			value = true ;
+		}
+		else {
+			throw usageError( "Unknown option: --" + arg.slice( 2 ) ) ;
+		}
+
+		options[ name ] = value ;
+	}
+
+	return { positional , options } ;
+}
+
+
+
+function storeOptions( options , readOnly ) {
+	var key = options.key || process.env.UKVSTORE_KEY ;
+
+	return {
+		bufferValues: options[ 'buffer-values' ] ? true : undefined ,
+		inMemoryValues: !! options[ 'in-memory-values' ] ,
+		readOnly: readOnly || !! options[ 'read-only' ] ,
+		journal: options.journal ,
+		hintFile: !! options[ 'hint-file' ] ,
+		encryption: key ? { key } : undefined
+	} ;
+}
+
+
+
+function print( io , text ) {
+	io.stdout.write( text + '\n' ) ;
+}
+
+
+
+// A value as a JSON line, like in NDJSON exports
+function jsonEntry( store , key , value ) {
+	var mapV = store.map.get( key ) ;
+	return exportFormats.ndjson.entry( key , store.prepareValue( value ).rawValue , ( mapV && mapV.e ) || 0 ).slice( 0 , -1 ) ;
+}
+
+
+
+async function readAll( readable ) {
+	var chunks = [] ;
+	for await ( let chunk of readable ) { chunks.push( typeof chunk === 'string' ? Buffer.from( chunk ) : chunk ) ; }
+	return Buffer.concat( chunks ) ;
+}
+
+
+
+// A writable stream forwarding to another one, without ending it
+function forwardTo( writable ) {
+	return new stream.Writable( {
+		write: ( chunk , encoding , callback ) => {
+			if ( writable.write( chunk ) ) { callback() ; }
+			else { writable.once( 'drain' , callback ) ; }
+		}
+	} ) ;
+}
+
+
+
+/*
+	Commands: { readOnly , load , run( store , args , options , io ) }
+	readOnly: the file is opened without locking it
+	load: the store is loaded before running
+	run: return the exit code
+*/
+const commands = {} ;
+
+commands.get = {
+	readOnly: true ,
+	load: true ,
+	usage: 'get <key>' ,
+	run: async ( store , args , options , io ) => {
+		var value ;
+
+		if ( args.length !== 1 ) { throw usageError( "Usage: " + commands.get.usage ) ; }
+		value = await store.get( args[ 0 ] ) ;
+
+		if ( value === undefined ) {
+			io.stderr.write( "Key not found: " + args[ 0 ] + '\n' ) ;
+			return EXIT_NOT_FOUND ;
+		}
+
+		if ( options.json ) {
+			print( io , jsonEntry( store , args[ 0 ] , value ) ) ;
+		}
+		else if ( Buffer.isBuffer( value ) ) {
+			io.stdout.write( value ) ;
+		}
+		else {
+			print( io , typeof value === 'string' ? value : JSON.stringify( value ) ) ;
+		}
+
+		return EXIT_OK ;
+	}
+} ;
+
+commands.has = {
+	readOnly: true ,
+	load: true ,
+	usage: 'has <key>' ,
+	run: async ( store , args , options , io ) => {
+		if ( args.length !== 1 ) { throw usageError( "Usage: " + commands.has.usage ) ; }
+
+		var has = store.has( args[ 0 ] ) ;
+		print( io , options.json ? JSON.stringify( has ) : has ? 'yes' : 'no' ) ;
+		return has ? EXIT_OK : EXIT_NOT_FOUND ;
+	}
+} ;
+
+commands.set = {
+	readOnly: false ,
+	load: true ,
+	usage: 'set <key> [value]' ,
+	run: async ( store , args , options , io ) => {
+		var value ;
+
+		if ( args.length < 1 || args.length > 2 ) { throw usageError( "Usage: " + commands.set.usage ) ; }
+
+		value = args.length < 2 || args[ 1 ] === '-' ? await readAll( io.stdin ) : Buffer.from( args[ 1 ] ) ;
+		if ( store.codec ) { value = store.codec.decode( value ) ; }
+
+		await store.set( args[ 0 ] , value , options.ttl ? { ttl: + options.ttl } : null ) ;
+		return EXIT_OK ;
+	}
+} ;
+
+commands.del = {
+	readOnly: false ,
+	load: true ,
+	usage: 'del <key>' ,
+	run: async ( store , args , options , io ) => {
+		if ( args.length !== 1 ) { throw usageError( "Usage: " + commands.del.usage ) ; }
+
+		if ( ! store.has( args[ 0 ] ) ) {
+			io.stderr.write( "Key not found: " + args[ 0 ] + '\n' ) ;
+			return EXIT_NOT_FOUND ;
+		}
+
+		await store.delete( args[ 0 ] ) ;
+		return EXIT_OK ;
+	}
+} ;
+
+commands.keys = {
+	readOnly: true ,
+	load: true ,
+	usage: 'keys [--prefix <prefix>] [--limit <count>]' ,
+	run: async ( store , args , options , io ) => {
+		var prefix = options.prefix || args[ 0 ] || '' ,
+			keys = [ ... store.keys() ].filter( key => key.startsWith( prefix ) ).sort() ;
+
+		if ( options.limit !== undefined ) { keys = keys.slice( 0 , + options.limit ) ; }
+
+		if ( options.json ) { print( io , JSON.stringify( keys ) ) ; }
+		else { keys.forEach( key => print( io , key ) ) ; }
+
+		return EXIT_OK ;
+	}
+} ;
+
+commands.size = {
+	readOnly: true ,
+	load: true ,
+	usage: 'size' ,
+	run: async ( store , args , options , io ) => {
+		print( io , '' + store.size ) ;
+		return EXIT_OK ;
+	}
+} ;
+
+commands.dump = {
+	readOnly: true ,
+	load: true ,
+	usage: 'dump [--format ndjson|binary] [--output <path>]' ,
+	run: async ( store , args , options , io ) => {
+		var writable = options.output ? fs.createWriteStream( options.output ) : forwardTo( io.stdout ) ,
+			count = await store.export( writable , { format: options.format } ) ;
+
+		if ( options.output ) { io.stderr.write( "Exported " + count + " entries\n" ) ; }
+		return EXIT_OK ;
+	}
+} ;
+
+commands.load = {
+	readOnly: false ,
+	load: true ,
+	usage: 'load [--input <path>]' ,
+	run: async ( store , args , options , io ) => {
+		var count = await store.import( options.input ? fs.createReadStream( options.input ) : io.stdin ) ;
+		print( io , options.json ? JSON.stringify( { imported: count } ) : "Imported " + count + " entries" ) ;
+		return EXIT_OK ;
+	}
+} ;
+
+commands.stat = {
+	readOnly: true ,
+	load: true ,
+	usage: 'stat [--analyze]' ,
+	run: async ( store , args , options , io ) => {
+		var stats = {
+			file: store.filePath ,
+			formatVersion: store.fileFormatVersion ,
+			bufferValues: store.bufferValues ,
+			checksum: store.checksum ,
+			codec: store.codec ? store.codec.name || 'custom' : null ,
+			encrypted: !! store.encryption
+		} ;
+
+		// Counters and cache figures are about this process, they are all zero
+		Object.assign( stats , store.stats() ) ;
+		delete stats.counters ;
+		delete stats.cache ;
+		if ( options.analyze ) { stats.analysis = await store.analyzeDB() ; }
+
+		if ( options.json ) { print( io , JSON.stringify( stats ) ) ; }
+		else { Object.keys( stats ).forEach( name => print( io , name + ': ' + ( stats[ name ] && typeof stats[ name ] === 'object' ? JSON.stringify( stats[ name ] ) : stats[ name ] ) ) ) ; }
+
+		return EXIT_OK ;
+	}
+} ;
+
+commands.verify = {
+	readOnly: true ,
+	// A corrupted file can't be loaded
+	load: false ,
+	usage: 'verify' ,
+	run: async ( store , args , options , io ) => {
+		var report = await store.verifyDB() ;
+
+		if ( options.json ) {
+			print( io , JSON.stringify( report ) ) ;
+		}
+		else {
+			print( io , ( report.ok ? "OK: " : "CORRUPTED: " ) + report.entries + " entries, " + report.freeBlocks + " free blocks" ) ;
+			report.badBlocks.forEach( bad => print( io , "  bad block at offset " + bad.offset + " (" + bad.size + " bytes): " + bad.error ) ) ;
+		}
+
+		return report.ok ? EXIT_OK : EXIT_NOT_FOUND ;
+	}
+} ;
+
+commands.compact = {
+	readOnly: false ,
+	load: true ,
+	usage: 'compact' ,
+	run: async ( store , args , options , io ) => {
+		var reclaimed = await store.compactDB() ;
+		print( io , options.json ? JSON.stringify( { reclaimed } ) : "Reclaimed " + reclaimed + " bytes" ) ;
+		return EXIT_OK ;
+	}
+} ;
+
+commands.backup = {
+	readOnly: false ,
+	load: true ,
+	usage: 'backup <dest-file>' ,
+	run: async ( store , args , options , io ) => {
+		if ( args.length !== 1 ) { throw usageError( "Usage: " + commands.backup.usage ) ; }
+
+		var result = await store.backup( args[ 0 ] ) ;
+		print( io , options.json ? JSON.stringify( result ) : "Backed up " + result.entries + " entries (" + result.size + " bytes)" ) ;
+		return EXIT_OK ;
+	}
+} ;
+
+commands.clear = {
+	readOnly: false ,
+	load: true ,
+	shellOnly: true ,
+	usage: 'clear' ,
+	run: async ( store ) => {
+		await store.clear() ;
+		return EXIT_OK ;
+	}
+} ;
+
+commands.shell = {
+	readOnly: false ,
+	load: true ,
+	usage: 'shell' ,
+	run: ( store , args , options , io ) => shell( store , options , io )
+} ;
+
+
+
+/*
+	Run commands line by line: <command> [key] [value...], the value is the rest of the line.
+	The prompt is only displayed if the input is a terminal, so it can be scripted: errors don't stop it,
+	but the exit code is the one of the last failing command.
+*/
+async function shell( store , options , io ) {
+	var line , matches , command , name , args , exitCode = EXIT_OK ,
+		interactive = !! io.stdin.isTTY ,
+		lines = readline.createInterface( { input: io.stdin , output: interactive ? io.stdout : undefined , terminal: interactive } ) ;
+
+	var prompt = () => { if ( interactive ) { io.stdout.write( '> ' ) ; } } ;
+
+	prompt() ;
+
+	for await ( line of lines ) {
+		matches = line.match( /^\s*(\S+)(?:\s+(\S+)(?:\s(.*))?)?\s*$/ ) ;
+
+		if ( matches ) {
+			[ , name , ... args ] = matches ;
+			args = args.filter( arg => arg !== undefined ) ;
+			command = commands[ name ] ;
+
+			if ( name === 'exit' || name === 'quit' ) { break ; }
+
+			if ( name === 'help' ) {
+				Object.keys( commands ).filter( key => key !== 'shell' )
+					.forEach( key => print( io , '  ' + commands[ key ].usage ) ) ;
+			}
+			else if ( ! command || command === commands.shell ) {
+				io.stderr.write( "Unknown command: " + name + '\n' ) ;
+				exitCode = EXIT_USAGE ;
+			}
+			else if ( store.readOnly && ! command.readOnly ) {
+				io.stderr.write( "The store is read-only\n" ) ;
+				exitCode = EXIT_ERROR ;
+			}
+			else {
+				let code = await runCommand( command , store , args , options , io ) ;
+				if ( code !== EXIT_OK ) { exitCode = code ; }
+			}
+		}
+
+		prompt() ;
+	}
+
+	lines.close() ;
+	return exitCode ;
+}
+
+
+
+// Run a command, report errors and return the exit code
+async function runCommand( command , store , args , options , io ) {
+	try {
+		return await command.run( store , args , options , io ) ;
+	}
+	catch ( error ) {
+		io.stderr.write( ( error.code === 'usage' ? "" : "Error: " ) + error.message + '\n' ) ;
+		return error.code === 'usage' ? EXIT_USAGE : EXIT_ERROR ;
+	}
+}
+
+
+
+async function cli( args , io = { stdin: process.stdin , stdout: process.stdout , stderr: process.stderr } ) {
+	var parsed , command , filePath , store , exitCode ;
+
+	try {
+		parsed = parseArgs( args ) ;
+	}
+	catch ( error ) {
+		io.stderr.write( error.message + '\n' + USAGE ) ;
+		return EXIT_USAGE ;
+	}
+
+	if ( parsed.options.help ) {
+		io.stdout.write( USAGE ) ;
+		return EXIT_OK ;
+	}
+
+	[ command , filePath ] = parsed.positional ;
+
+	if ( ! commands[ command ] || commands[ command ].shellOnly || ! filePath ) {
+		io.stderr.write( ( command && ! commands[ command ] ? "Unknown command: " + command + '\n' : "" ) + USAGE ) ;
+		return EXIT_USAGE ;
+	}
+
+	command = commands[ command ] ;
+
+	try {
+		store = new KVStore( filePath , storeOptions( parsed.options , command.readOnly ) ) ;
+		if ( command.load ) { await store.loadDB() ; }
+	}
+	catch ( error ) {
+		io.stderr.write( "Error: " + error.message + '\n' ) ;
+		if ( store ) { await store.close().catch( () => undefined ) ; }
+		return EXIT_ERROR ;
+	}
+
+	exitCode = await runCommand( command , store , parsed.positional.slice( 2 ) , parsed.options , io ) ;
+
+	try {
+		await store.close() ;
+	}
+	catch ( error ) {
+		io.stderr.write( "Error: " + error.message + '\n' ) ;
+		return EXIT_ERROR ;
+	}
+
+	return exitCode ;
+}
+
+module.exports = cli ;
+cli.parseArgs = parseArgs ;
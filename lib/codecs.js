@@ -0,0 +1,63 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const v8 = require( 'v8' ) ;
+
+
+
+/*
+	Codecs turn values into something storable and back.
+
+	A codec is an object with:
+		name: the name recorded into the DB file header
+		encode( value ): return a string or a Buffer
+		decode( buffer ): return the value, buffer is a Buffer
+*/
+
+const codecs = {} ;
+module.exports = codecs ;
+
+
+
+codecs.json = {
+	name: 'json' ,
+	// JSON has no undefined, store it as null
+	encode: value => JSON.stringify( value === undefined ? null : value ) ,
+	decode: buffer => JSON.parse( buffer.toString( 'utf8' ) )
+} ;
+
+
+
+// Structured clone: supports Date, RegExp, Map, Set, typed arrays, circular references, etc
+codecs.v8 = {
+	name: 'v8' ,
+	encode: value => v8.serialize( value ) ,
+	decode: buffer => v8.deserialize( buffer )
+} ;
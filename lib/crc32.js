@@ -0,0 +1,111 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+// Standard CRC-32 (IEEE 802.3, the one used by zlib/gzip/png)
+
+const TABLE = new Int32Array( 256 ) ;
+
+for ( let n = 0 ; n < 256 ; n ++ ) {
+	let c = n ;
+
+	for ( let k = 0 ; k < 8 ; k ++ ) {
+		c = c & 1 ? 0xedb88320 ^ ( c >>> 1 ) : c >>> 1 ;
+	}
+
+	TABLE[ n ] = c ;
+}
+
+
+
+// Pass the previous CRC as the last argument to compute the CRC of many chunks as if they were a single buffer
+function crc32( buffer , start = 0 , end = buffer.length , previous = 0 ) {
+	var crc = ~ previous ;
+
+	for ( let i = start ; i < end ; i ++ ) {
+		crc = TABLE[ ( crc ^ buffer[ i ] ) & 0xff ] ^ ( crc >>> 8 ) ;
+	}
+
+	return ( ~ crc ) >>> 0 ;
+}
+
+module.exports = crc32 ;
+
+
+
+// GF(2) matrix helpers of crc32.combine(), see zlib's crc32_combine()
+function gf2MatrixTimes( matrix , vector ) {
+	var sum = 0 , i = 0 ;
+
+	while ( vector ) {
+		if ( vector & 1 ) { sum ^= matrix[ i ] ; }
+		vector >>>= 1 ;
+		i ++ ;
+	}
+
+	return sum >>> 0 ;
+}
+
+function gf2MatrixSquare( square , matrix ) {
+	for ( let n = 0 ; n < 32 ; n ++ ) { square[ n ] = gf2MatrixTimes( matrix , matrix[ n ] ) ; }
+}
+
+
+
+// The CRC of A+B from the CRC of A, the CRC of B and the length of B, without reading A or B again
+crc32.combine = function( crc1 , crc2 , length2 ) {
+	var n , row ,
+		even = new Uint32Array( 32 ) ,	// even-power-of-two zeros operator
+		odd = new Uint32Array( 32 ) ;	// odd-power-of-two zeros operator
+
+	if ( length2 <= 0 ) { return crc1 ; }
+
+	// The operator for one zero bit
+	odd[ 0 ] = 0xedb88320 ;
+
+	for ( n = 1 , row = 1 ; n < 32 ; n ++ , row <<= 1 ) { odd[ n ] = row ; }
+
+	// Two then four zero bits
+	gf2MatrixSquare( even , odd ) ;
+	gf2MatrixSquare( odd , even ) ;
+
+	// Apply length2 zero bytes to crc1, the first squaring gives the operator for one zero byte
+	do {
+		gf2MatrixSquare( even , odd ) ;
+		if ( length2 % 2 ) { crc1 = gf2MatrixTimes( even , crc1 ) ; }
+		length2 = Math.floor( length2 / 2 ) ;
+		if ( ! length2 ) { break ; }
+
+		gf2MatrixSquare( odd , even ) ;
+		if ( length2 % 2 ) { crc1 = gf2MatrixTimes( odd , crc1 ) ; }
+		length2 = Math.floor( length2 / 2 ) ;
+	} while ( length2 ) ;
+
+	return ( crc1 ^ crc2 ) >>> 0 ;
+} ;
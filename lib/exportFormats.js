@@ -0,0 +1,304 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+/*
+	Portable formats of .export()/.import(): only live entries, no block layout.
+	Values are raw: as they are passed to the codec, if any.
+
+	A format is an object with:
+		header(): return the first chunk
+		entry( key , value , expire ): return the chunk of an entry, value is a string or a Buffer, expire is 0 if none
+		end( count ): return the last chunk, the number of entries makes truncated exports detectable
+	Both formats are recognized by exportFormats.parse().
+*/
+
+const exportFormats = {} ;
+module.exports = exportFormats ;
+
+
+
+/*
+	NDJSON: one JSON object per line.
+	The first line is { "format": "ukvstore" , "version": 1 }, the last one is { "end": true , "count": <count> },
+	and entries are { "k": <key> , "v": <string value> } or { "k": <key> , "b": <base64 Buffer value> }, plus "e": <expire timestamp>.
+*/
+exportFormats.ndjson = {
+	header: () => JSON.stringify( { format: 'ukvstore' , version: 1 } ) + '\n' ,
+	entry: ( key , value , expire ) => {
+		var entry = Buffer.isBuffer( value ) ? { k: key , b: value.toString( 'base64' ) } : { k: key , v: value } ;
+		if ( expire ) { entry.e = expire ; }
+		return JSON.stringify( entry ) + '\n' ;
+	} ,
+	end: count => JSON.stringify( { end: true , count } ) + '\n'
+} ;
+
+
+
+/*
+	Binary: a 'UKVX' magic and a version byte, then records starting with a type byte:
+		0: end, followed by the count of entries (6B)
+		1: entry, followed by Key length (4B) - Value length (4B) - Key - Value
+		2: the same with an expire timestamp (6B) after the value length
+	A value record has a flag on the type byte (4) when it's a Buffer, so it can be restored as a string otherwise.
+*/
+const MAGIC = 'UKVX' ;
+const VERSION = 1 ;
+const RECORD_END = 0 ;
+const RECORD_ENTRY = 1 ;
+const RECORD_EXPIRING_ENTRY = 2 ;
+const FLAG_BUFFER = 4 ;
+const EXPIRE_SIZE = 6 ;
+
+exportFormats.binary = {
+	header: () => Buffer.concat( [ Buffer.from( MAGIC ) , Buffer.from( [ VERSION ] ) ] ) ,
+	entry: ( key , value , expire ) => {
+		var keyLength = Buffer.byteLength( key ) ,
+			valueIsBuffer = Buffer.isBuffer( value ) ,
+			valueLength = valueIsBuffer ? value.length : Buffer.byteLength( value ) ,
+			offset = expire ? 9 + EXPIRE_SIZE : 9 ,
+			buffer = Buffer.allocUnsafe( offset + keyLength + valueLength ) ;
+
+		buffer.writeUInt8( ( expire ? RECORD_EXPIRING_ENTRY : RECORD_ENTRY ) | ( valueIsBuffer ? FLAG_BUFFER : 0 ) , 0 ) ;
+		buffer.writeUInt32BE( keyLength , 1 ) ;
+		buffer.writeUInt32BE( valueLength , 5 ) ;
+		if ( expire ) { buffer.writeUIntBE( expire , 9 , EXPIRE_SIZE ) ; }
+
+		buffer.write( key , offset , keyLength ) ;
+		offset += keyLength ;
+
+		if ( valueIsBuffer ) { value.copy( buffer , offset ) ; }
+		else { buffer.write( value , offset , valueLength ) ; }
+
+		return buffer ;
+	} ,
+	end: count => {
+		var buffer = Buffer.alloc( 1 + EXPIRE_SIZE ) ;
+		buffer.writeUInt8( RECORD_END , 0 ) ;
+		buffer.writeUIntBE( count , 1 , 6 ) ;
+		return buffer ;
+	}
+} ;
+
+
+
+function formatError( message ) {
+	var error = new Error( "Bad export: " + message ) ;
+	error.code = 'badExport' ;
+	return error ;
+}
+
+
+
+/*
+	Parse an export from a readable stream (or any async iterable of Buffer/string), the format is detected.
+	Yield { key , value , expire } objects, throw a 'badExport' error if it is malformed or truncated.
+*/
+exportFormats.parse = async function *( readable ) {
+	var iterator = readable[ Symbol.asyncIterator ]() ,
+		chunks = [] ,	// Received but not yet parsed
+		available = 0 ,
+		ended = false ;
+
+	// Add the next chunk of the stream
+	var pull = async () => {
+		var chunk = await iterator.next() ;
+
+		if ( chunk.done ) {
+			ended = true ;
+			return ;
+		}
+
+		chunk = typeof chunk.value === 'string' ? Buffer.from( chunk.value ) : chunk.value ;
+		chunks.push( chunk ) ;
+		available += chunk.length ;
+	} ;
+
+	// Return a Buffer of exactly that length, or null if the stream ends before
+	var read = async length => {
+		var buffer ;
+
+		while ( available < length && ! ended ) { await pull() ; }
+
+		if ( available < length ) { return null ; }
+
+		buffer = chunks.length === 1 ? chunks[ 0 ] : Buffer.concat( chunks ) ;
+		chunks = length < buffer.length ? [ buffer.slice( length ) ] : [] ;
+		available -= length ;
+		return buffer.slice( 0 , length ) ;
+	} ;
+
+	// Return the next line without the newline, or null at the end of the stream
+	var readLine = async () => {
+		var index , chunk , line ;
+
+		for ( ;; ) {
+			// Only the last chunk can have a newline, the others were already searched
+			if ( chunks.length ) {
+				chunk = chunks[ chunks.length - 1 ] ;
+				index = chunk.indexOf( 10 ) ;
+
+				if ( index !== -1 ) {
+					chunks[ chunks.length - 1 ] = chunk.slice( 0 , index ) ;
+					line = Buffer.concat( chunks ) ;
+					chunks = index + 1 < chunk.length ? [ chunk.slice( index + 1 ) ] : [] ;
+					available -= line.length + 1 ;
+					return line.toString( 'utf8' ) ;
+				}
+			}
+
+			if ( ended ) { break ; }
+			await pull() ;
+		}
+
+		if ( ! available ) { return null ; }
+
+		// The last line has no newline
+		line = Buffer.concat( chunks ) ;
+		chunks = [] ;
+		available = 0 ;
+		return line.toString( 'utf8' ) ;
+	} ;
+
+	var header = await read( MAGIC.length ) ;
+	if ( ! header ) { throw formatError( "empty or truncated" ) ; }
+
+	if ( header.toString( 'latin1' ) === MAGIC ) {
+		yield * parseBinary( read ) ;
+	}
+	else {
+		// Put it back, it's the start of the first line
+		chunks.unshift( header ) ;
+		available += header.length ;
+		yield * parseNdjson( readLine ) ;
+	}
+} ;
+
+
+
+async function * parseBinary( read ) {
+	var version , buffer , type , keyLength , valueLength , expire , key , value ,
+		count = 0 ;
+
+	version = await read( 1 ) ;
+	if ( ! version || version[ 0 ] !== VERSION ) { throw formatError( "unsupported binary version" ) ; }
+
+	for ( ;; ) {
+		buffer = await read( 1 ) ;
+		if ( ! buffer ) { throw formatError( "truncated" ) ; }
+		type = buffer[ 0 ] ;
+
+		if ( type === RECORD_END ) {
+			buffer = await read( EXPIRE_SIZE ) ;
+			if ( ! buffer ) { throw formatError( "truncated" ) ; }
+			if ( buffer.readUIntBE( 0 , EXPIRE_SIZE ) !== count ) { throw formatError( "entry count mismatch" ) ; }
+			return ;
+		}
+
+		if ( ( type & ~ FLAG_BUFFER ) !== RECORD_ENTRY && ( type & ~ FLAG_BUFFER ) !== RECORD_EXPIRING_ENTRY ) {
+			throw formatError( "unknown record type " + type ) ;
+		}
+
+		buffer = await read( ( type & ~ FLAG_BUFFER ) === RECORD_EXPIRING_ENTRY ? 8 + EXPIRE_SIZE : 8 ) ;
+		if ( ! buffer ) { throw formatError( "truncated" ) ; }
+		keyLength = buffer.readUInt32BE( 0 ) ;
+		valueLength = buffer.readUInt32BE( 4 ) ;
+		expire = buffer.length > 8 ? buffer.readUIntBE( 8 , EXPIRE_SIZE ) : 0 ;
+
+		key = await read( keyLength ) ;
+		value = key && await read( valueLength ) ;
+		if ( ! value ) { throw formatError( "truncated" ) ; }
+
+		count ++ ;
+		yield {
+			key: key.toString( 'utf8' ) ,
+			value: type & FLAG_BUFFER ? value : value.toString( 'utf8' ) ,
+			expire
+		} ;
+	}
+}
+
+
+
+async function * parseNdjson( readLine ) {
+	var line , entry ,
+		lineNumber = 1 ,
+		count = 0 ;
+
+	line = await readLine() ;
+	if ( line === null ) { throw formatError( "unknown format" ) ; }
+	entry = parseLine( line , lineNumber ) ;
+	if ( entry.format !== 'ukvstore' ) { throw formatError( "unknown format" ) ; }
+	if ( entry.version !== 1 ) { throw formatError( "unsupported NDJSON version" ) ; }
+
+	for ( ;; ) {
+		line = await readLine() ;
+		lineNumber ++ ;
+		if ( line === null ) { throw formatError( "truncated" ) ; }
+		if ( ! line ) { continue ; }
+
+		entry = parseLine( line , lineNumber ) ;
+
+		if ( entry.end ) {
+			if ( entry.count !== count ) { throw formatError( "entry count mismatch" ) ; }
+			return ;
+		}
+
+		if ( typeof entry.k !== 'string' || ( typeof entry.v !== 'string' && typeof entry.b !== 'string' ) ) {
+			throw formatError( "malformed entry at line " + lineNumber ) ;
+		}
+
+		count ++ ;
+		yield {
+			key: entry.k ,
+			value: typeof entry.b === 'string' ? Buffer.from( entry.b , 'base64' ) : entry.v ,
+			expire: entry.e || 0
+		} ;
+	}
+}
+
+
+
+// Each line should be a JSON object
+function parseLine( line , lineNumber ) {
+	var object ;
+
+	try {
+		object = JSON.parse( line ) ;
+	}
+	catch ( error ) {
+		throw formatError( "invalid line " + lineNumber + " (not JSON)" ) ;
+	}
+
+	if ( ! object || typeof object !== 'object' || Array.isArray( object ) ) {
+		throw formatError( "invalid line " + lineNumber + " (not an object)" ) ;
+	}
+
+	return object ;
+}
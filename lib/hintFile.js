@@ -0,0 +1,220 @@
+/*
+	Micro KV Store
+
+	Copyright (c) 2019 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const fsPromise = require( 'fs' ).promises ;
+const crc32 = require( './crc32.js' ) ;
+
+
+
+/*
+	Hint file: what .loadDB() would find by scanning the DB file when values are not in memory,
+	so it can be loaded in one read. It is only trusted if the DB file still has the size and mtime it records.
+
+	Structure:
+	Magic "UKVH" (4B) - Version (1B) - DB file size (6B) - DB file mtime in ms (8B, double)
+	- Entries - Free regions - Entry count (4B) - Free region count (4B) - CRC32 of everything before (4B)
+
+	Entry structure:
+	Flags (1B) - Compression (1B) - Key length (2B) - Offset (6B) - Block size (6B) - Value offset (4B) - Value length (4B)
+	- [Expire (6B)] - Key
+
+	Flags: 1: has an expire timestamp, 2: encrypted.
+	Compression is the mapV.z value.
+
+	Free region structure:
+	Offset (6B) - Size (6B)
+*/
+
+const hintFile = {} ;
+module.exports = hintFile ;
+
+
+
+const MAGIC = 'UKVH' ;
+const VERSION = 1 ;
+const HEADER_SIZE = 19 ;
+const ENTRY_HEADER_SIZE = 24 ;
+const EXPIRE_SIZE = 6 ;
+const REGION_SIZE = 12 ;
+const TRAILER_SIZE = 12 ;
+const FLAG_EXPIRE = 1 ;
+const FLAG_ENCRYPTED = 2 ;
+const WRITE_BUFFER_SIZE = 1024 * 1024 ;
+
+
+
+/*
+	Write the hint file, through a temporary file renamed once complete.
+	dbStats: the fs.Stats of the DB file, entries: iterable of [ key , mapV ], regions: iterable of [ offset , size ].
+*/
+hintFile.write = async function( filePath , dbStats , entries , regions ) {
+	var key , mapV , keyLength , offset , size ,
+		entryCount = 0 ,
+		regionCount = 0 ,
+		tmpPath = filePath + '.tmp' ,
+		file = await fsPromise.open( tmpPath , 'w' ) ,
+		buffer = Buffer.allocUnsafe( WRITE_BUFFER_SIZE ) ,
+		position = 0 ,
+		filePosition = 0 ,
+		crc = 0 ;
+
+	// Make room for that many bytes
+	var reserve = async length => {
+		if ( position + length <= buffer.length ) { return ; }
+		crc = crc32( buffer , 0 , position , crc ) ;
+		await file.write( buffer , 0 , position , filePosition ) ;
+		filePosition += position ;
+		position = 0 ;
+	} ;
+
+	try {
+		buffer.write( MAGIC , 0 , 'latin1' ) ;
+		buffer.writeUInt8( VERSION , 4 ) ;
+		buffer.writeUIntBE( dbStats.size , 5 , 6 ) ;
+		buffer.writeDoubleBE( dbStats.mtimeMs , 11 ) ;
+		position = HEADER_SIZE ;
+
+		for ( [ key , mapV ] of entries ) {
+			keyLength = Buffer.byteLength( key ) ;
+			await reserve( ENTRY_HEADER_SIZE + EXPIRE_SIZE + keyLength ) ;
+
+			buffer.writeUInt8( ( mapV.e ? FLAG_EXPIRE : 0 ) | ( mapV.x ? FLAG_ENCRYPTED : 0 ) , position ) ;
+			buffer.writeUInt8( mapV.z || 0 , position + 1 ) ;
+			buffer.writeUInt16BE( keyLength , position + 2 ) ;
+			buffer.writeUIntBE( mapV.o , position + 4 , 6 ) ;
+			buffer.writeUIntBE( mapV.s , position + 10 , 6 ) ;
+			buffer.writeUInt32BE( mapV.vo , position + 16 ) ;
+			buffer.writeUInt32BE( mapV.vs , position + 20 ) ;
+			position += ENTRY_HEADER_SIZE ;
+
+			if ( mapV.e ) {
+				buffer.writeUIntBE( mapV.e , position , EXPIRE_SIZE ) ;
+				position += EXPIRE_SIZE ;
+			}
+
+			position += buffer.write( key , position ) ;
+			entryCount ++ ;
+		}
+
+		for ( [ offset , size ] of regions ) {
+			await reserve( REGION_SIZE ) ;
+			buffer.writeUIntBE( offset , position , 6 ) ;
+			buffer.writeUIntBE( size , position + 6 , 6 ) ;
+			position += REGION_SIZE ;
+			regionCount ++ ;
+		}
+
+		await reserve( TRAILER_SIZE ) ;
+		buffer.writeUInt32BE( entryCount , position ) ;
+		buffer.writeUInt32BE( regionCount , position + 4 ) ;
+		crc = crc32( buffer , 0 , position + 8 , crc ) ;
+		buffer.writeUInt32BE( crc , position + 8 ) ;
+		position += TRAILER_SIZE ;
+		await file.write( buffer , 0 , position , filePosition ) ;
+	}
+	catch ( error ) {
+		await file.close() ;
+		await fsPromise.unlink( tmpPath ).catch( () => undefined ) ;
+		throw error ;
+	}
+
+	await file.close() ;
+	await fsPromise.rename( tmpPath , filePath ) ;
+} ;
+
+
+
+/*
+	Read the hint file, return null if it does not exist, is corrupted, or does not match the DB file stats.
+	Otherwise return { entries , regions }: arrays of [ key , mapV ] and [ offset , size ].
+*/
+hintFile.read = async function( filePath , dbStats ) {
+	var buffer , position , end , flags , keyLength , mapV , entryCount , regionCount ,
+		entries = [] ,
+		regions = [] ;
+
+	try {
+		buffer = await fsPromise.readFile( filePath ) ;
+	}
+	catch ( error ) {
+		return null ;
+	}
+
+	if (
+		buffer.length < HEADER_SIZE + TRAILER_SIZE
+		|| buffer.toString( 'latin1' , 0 , 4 ) !== MAGIC
+		|| buffer.readUInt8( 4 ) !== VERSION
+		|| buffer.readUIntBE( 5 , 6 ) !== dbStats.size
+		|| buffer.readDoubleBE( 11 ) !== dbStats.mtimeMs
+	) {
+		return null ;
+	}
+
+	end = buffer.length - TRAILER_SIZE ;
+	if ( crc32( buffer , 0 , end + 8 ) !== buffer.readUInt32BE( end + 8 ) ) { return null ; }
+
+	entryCount = buffer.readUInt32BE( end ) ;
+	regionCount = buffer.readUInt32BE( end + 4 ) ;
+	position = HEADER_SIZE ;
+
+	while ( entries.length < entryCount ) {
+		flags = buffer.readUInt8( position ) ;
+		keyLength = buffer.readUInt16BE( position + 2 ) ;
+
+		mapV = {
+			o: buffer.readUIntBE( position + 4 , 6 ) ,
+			s: buffer.readUIntBE( position + 10 , 6 ) ,
+			vo: buffer.readUInt32BE( position + 16 ) ,
+			vs: buffer.readUInt32BE( position + 20 )
+		} ;
+
+		if ( buffer.readUInt8( position + 1 ) ) { mapV.z = buffer.readUInt8( position + 1 ) ; }
+		if ( flags & FLAG_ENCRYPTED ) { mapV.x = 1 ; }
+		position += ENTRY_HEADER_SIZE ;
+
+		if ( flags & FLAG_EXPIRE ) {
+			mapV.e = buffer.readUIntBE( position , EXPIRE_SIZE ) ;
+			position += EXPIRE_SIZE ;
+		}
+
+		entries.push( [ buffer.toString( 'utf8' , position , position + keyLength ) , mapV ] ) ;
+		position += keyLength ;
+	}
+
+	while ( regions.length < regionCount ) {
+		regions.push( [ buffer.readUIntBE( position , 6 ) , buffer.readUIntBE( position + 6 , 6 ) ] ) ;
+		position += REGION_SIZE ;
+	}
+
+	// The CRC matched, but the counts are not consistent with the content
+	if ( position !== end ) { return null ; }
+
+	return { entries , regions } ;
+} ;
@@ -34,4 +34,7 @@ module.exports = ukvstore ;
 
 
 ukvstore.KVStore = require( './KVStore.js' ) ;
+ukvstore.IndexedStore = require( './IndexedStore.js' ) ;
+ukvstore.codecs = require( './codecs.js' ) ;
+ukvstore.StoreLockedError = require( './LockFile.js' ).StoreLockedError ;
 
@@ -29,7 +29,20 @@
 
 
 const fs = require( 'fs' ) ;
+const crypto = require( 'crypto' ) ;
+const Promise = require( 'seventh' ) ;
+const os = require( 'os' ) ;
+const path = require( 'path' ) ;
+const stream = require( 'stream' ) ;
+const zlib = require( 'zlib' ) ;
 const ukvstore = require( '..' ) ;
+const KVStore = ukvstore.KVStore ;
+const IndexedStore = ukvstore.IndexedStore ;
+const Journal = require( '../lib/Journal.js' ) ;
+const IOQueue = require( '../lib/IOQueue.js' ) ;
+const SkipList = require( '../lib/SkipList.js' ) ;
+const LRUCache = require( '../lib/LRUCache.js' ) ;
+const cli = require( '../lib/cli.js' ) ;
 //const string = require( 'string-kit' ) ;
 
 
@@ -55,11 +68,2091 @@ function deb( title , v ) {
 */
 
 
+var tmpCount = 0 ;
+
+function tmpPath() {
+	var filePath = path.join( os.tmpdir() , 'ukvstore-test-' + process.pid + '-' + ( tmpCount ++ ) + '.db' ) ;
+	cleanPath( filePath ) ;
+	return filePath ;
+}
+
+// Remove the DB file and all its companion files (journal, indexes, ...)
+function cleanPath( filePath ) {
+	var baseName = path.basename( filePath ) ;
+
+	for ( let fileName of fs.readdirSync( path.dirname( filePath ) ) ) {
+		if ( fileName.startsWith( baseName ) ) {
+			try { fs.unlinkSync( path.join( path.dirname( filePath ) , fileName ) ) ; }
+			catch ( error ) {}
+		}
+	}
+}
+
+
+
 /* Tests */
 
 
 
-describe( "..." , () => {
-	it( "..." ) ;
+describe( "Basic operations" , () => {
+
+	it( "should set, get, delete and reload values" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ;
+
+		await store.loadDB() ;
+		await store.set( 'one' , 'first value' ) ;
+		await store.set( 'two' , 'second value' ) ;
+		await store.set( 'three' , 'third value' ) ;
+		await store.set( 'two' , 'second value, but much much longer than before' ) ;
+		await store.delete( 'three' ) ;
+		expect( store.get( 'one' ) ).to.be( 'first value' ) ;
+		expect( store.has( 'three' ) ).to.be( false ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.keys() ] ).to.equal( [ 'one' , 'two' ] ) ;
+		expect( store.get( 'two' ) ).to.be( 'second value, but much much longer than before' ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { inMemoryValues: false } ) ;
+		await store.loadDB() ;
+		expect( await store.get( 'one' ) ).to.be( 'first value' ) ;
+		expect( await store.get( 'two' ) ).to.be( 'second value, but much much longer than before' ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Journal" , () => {
+
+	it( "should replay complete records and drop a torn one on load" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { journal: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'one' , 'first value' ) ;
+		expect( fs.statSync( filePath + '.journal' ).size ).to.be.above( 0 ) ;
+
+		// Simulate a crash: the record is on disk but the DB file was never touched
+		var entryBuffer = store.entryBuffer( 'two' , 'second value' ) ,
+			journal = new Journal( filePath + '.journal' ) ;
+
+		await journal.open() ;
+		await journal.append( [ { offset: store.eof , buffer: entryBuffer } ] ) ;
+
+		// ... and a torn record after it
+		fs.appendFileSync( filePath + '.journal' , Buffer.from( [ 0 , 0 , 0 , 20 , 1 , 2 , 3 , 4 , 5 ] ) ) ;
+		await journal.close() ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { journal: true } ) ;
+		await store.loadDB() ;
+		expect( store.get( 'one' ) ).to.be( 'first value' ) ;
+		expect( store.get( 'two' ) ).to.be( 'second value' ) ;
+		expect( fs.statSync( filePath + '.journal' ).size ).to.be( 0 ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should keep relocations atomic" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { journal: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'short' ) ;
+		await store.set( 'key' , 'a value too long to fit in the former block' ) ;
+		await store.set( 'other' , 'value' ) ;
+		await store.clear() ;
+		await store.set( 'key' , 'after clear' ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { journal: true } ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'key' , 'after clear' ] ] ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+
+describe( "Checksum, verify and repair" , () => {
+
+	async function corruptedStore( filePath ) {
+		var store = new KVStore( filePath , { checksum: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'one' , 'first value' ) ;
+		await store.set( 'two' , 'second value' ) ;
+		await store.set( 'three' , 'third value' ) ;
+		await store.delete( 'one' ) ;
+
+		// Flip a bit in the flags of the 'two' entry
+		var offset = store.map.get( 'two' ).o ,
+			fd = fs.openSync( filePath , 'r+' ) ,
+			buffer = Buffer.alloc( 1 ) ;
+
+		fs.readSync( fd , buffer , 0 , 1 , offset ) ;
+		buffer[ 0 ] ^= 2 ;
+		fs.writeSync( fd , buffer , 0 , 1 , offset ) ;
+		fs.closeSync( fd ) ;
+
+		await store.close() ;
+		return offset ;
+	}
+
+	it( "should reload a store with checksums" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { checksum: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'one' , 'first value' ) ;
+		await store.set( 'two' , 'x'.repeat( 70000 ) ) ;
+		await store.delete( 'one' ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { checksum: true , inMemoryValues: false } ) ;
+		await store.loadDB() ;
+		expect( await store.get( 'two' ) ).to.be( 'x'.repeat( 70000 ) ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should refuse to load a corrupted store and report it with .verifyDB()" , async () => {
+		var filePath = tmpPath() ,
+			offset = await corruptedStore( filePath ) ,
+			store = new KVStore( filePath , { checksum: true } ) ;
+
+		await expect( () => store.loadDB() ).to.reject() ;
+
+		var report = await store.verifyDB() ;
+		expect( report.ok ).to.be( false ) ;
+		expect( report.entries ).to.be( 1 ) ;
+		expect( report.badBlocks.length ).to.be( 1 ) ;
+		expect( report.badBlocks[ 0 ].offset ).to.be( offset ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should salvage everything else with .repairDB()" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { checksum: true } ) ;
+
+		await corruptedStore( filePath ) ;
+		await expect( () => store.loadDB() ).to.reject() ;
+
+		var report = await store.repairDB() ;
+		expect( report.entries ).to.be( 1 ) ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'three' , 'third value' ] ] ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { checksum: true } ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'three' , 'third value' ] ] ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Header and migration" , () => {
+
+	it( "should adopt format options from the header, and refuse mismatching ones" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { checksum: true , bufferValues: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'value' ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.checksum ).to.be( true ) ;
+		expect( store.bufferValues ).to.be( true ) ;
+		expect( store.get( 'key' ) ).to.equal( Buffer.from( 'value' ) ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { checksum: false } ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'badFormat' } ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	// Format version 1 and 2 entries have no extended flags
+	function legacyEntryBuffer( store , key , value ) {
+		var entrySize = 4 + key.length + value.length ,
+			buffer = Buffer.alloc( store.blockSize( entrySize ) ) ;
+
+		buffer.writeUInt8( store.blockSizeToFlags( entrySize , 0 ) , 0 ) ;
+		buffer.writeUInt8( key.length , 1 ) ;
+		buffer.writeUInt16BE( value.length , 2 ) ;
+		buffer.write( key + value , 4 ) ;
+		return buffer ;
+	}
+
+	it( "should refuse a headerless file, and upgrade it with .migrate()" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ,
+			buffers = [ legacyEntryBuffer( store , 'one' , 'first value' ) , legacyEntryBuffer( store , 'two' , 'second value' ) ] ;
+
+		fs.writeFileSync( filePath , Buffer.concat( buffers ) ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'badFormat' } ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		expect( await store.migrate() ).to.be( true ) ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'one' , 'first value' ] , [ 'two' , 'second value' ] ] ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		expect( await store.migrate() ).to.be( false ) ;
+		expect( store.get( 'two' ) ).to.be( 'second value' ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should upgrade a headerless file to a checksummed one with .migrate()" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { checksum: true } ) ;
+
+		fs.writeFileSync( filePath , legacyEntryBuffer( store , 'one' , 'first value' ) ) ;
+		expect( await store.migrate() ).to.be( true ) ;
+		expect( store.get( 'one' ) ).to.be( 'first value' ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.checksum ).to.be( true ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+		expect( store.get( 'one' ) ).to.be( 'first value' ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should upgrade a format version 2 file with .migrate()" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { bufferValues: true } ) ,
+			header = store.headerBuffer() ;
+
+		header.writeUInt16BE( 2 , 4 ) ;
+		fs.writeFileSync( filePath , Buffer.concat( [ header , legacyEntryBuffer( store , 'one' , 'first value' ) ] ) ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'badFormat' } ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		expect( await store.migrate() ).to.be( true ) ;
+		expect( store.get( 'one' ) ).to.equal( Buffer.from( 'first value' ) ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.get( 'one' ) ).to.equal( Buffer.from( 'first value' ) ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Compaction" , () => {
+
+	it( "should rewrite live entries contiguously" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { inMemoryValues: false } ) ;
+
+		await store.loadDB() ;
+
+		for ( let i = 0 ; i < 20 ; i ++ ) { await store.set( 'key' + i , 'value' + i ) ; }
+		for ( let i = 0 ; i < 20 ; i += 2 ) { await store.delete( 'key' + i ) ; }
+
+		var eof = store.eof ,
+			deletion = store.delete( 'key1' ) ,
+			reclaimed = await store.compactDB() ;
+
+		await deletion ;
+		expect( reclaimed ).to.be.above( 0 ) ;
+		expect( store.eof ).to.be( eof - reclaimed ) ;
+		expect( store.freeSpace.size ).to.be( 0 ) ;
+		expect( await store.get( 'key3' ) ).to.be( 'value3' ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.size ).to.be( 9 ) ;
+		expect( store.get( 'key19' ) ).to.be( 'value19' ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should compact automatically when the free space ratio is reached" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { autoCompact: 0.5 , autoCompactMinSize: 0 } ) ,
+			compacting = null ;
+
+		await store.loadDB() ;
+
+		for ( let i = 0 ; i < 10 ; i ++ ) { await store.set( 'key' + i , 'value' + i ) ; }
+
+		// The delete crossing the threshold doesn't wait for the compaction, it runs in the background
+		for ( let i = 0 ; i < 6 ; i ++ ) {
+			await store.delete( 'key' + i ) ;
+			if ( store.compacting ) { compacting = store.compacting ; }
+		}
+
+		expect( compacting ).not.to.be( null ) ;
+		await compacting ;
+		expect( store.freeSpace.size / ( store.eof - store.dataOffset ) ).to.be.below( 0.5 ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.keys() ] ).to.equal( [ 'key6' , 'key7' , 'key8' , 'key9' ] ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Free space allocator" , () => {
+
+	it( "should coalesce adjacent free blocks and split them to fit new entries" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { checksum: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'value' ) ;
+		await store.set( 'b' , 'value' ) ;
+		await store.set( 'c' , 'value' ) ;
+		await store.set( 'd' , 'value' ) ;
+
+		var offset = store.map.get( 'a' ).o ,
+			blockSize = store.map.get( 'a' ).s ;
+
+		await store.delete( 'a' ) ;
+		await store.delete( 'b' ) ;
+		await store.delete( 'c' ) ;
+		expect( [ ... store.freeSpace.regions ] ).to.equal( [ [ offset , 3 * blockSize ] ] ) ;
+
+		// Bigger than a single freed block
+		await store.set( 'e' , 'a bigger value' ) ;
+		expect( store.map.get( 'e' ).o ).to.be( offset ) ;
+		expect( store.freeSpace.size ).to.be( 3 * blockSize - store.map.get( 'e' ).s ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'e' , 'a bigger value' ] , [ 'd' , 'value' ] ] ) ;
+		expect( store.freeSpace.regions.size ).to.be( 1 ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should truncate the file when free blocks are at its end" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'value' ) ;
+		var eof = store.eof ;
+		await store.set( 'b' , 'value' ) ;
+		await store.set( 'c' , 'value' ) ;
+		await store.delete( 'b' ) ;
+		await store.delete( 'c' ) ;
+
+		expect( store.eof ).to.be( eof ) ;
+		expect( store.freeSpace.size ).to.be( 0 ) ;
+		expect( fs.statSync( filePath ).size ).to.be( eof ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Codecs" , () => {
+
+	it( "should store objects with the JSON codec" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { codec: 'json' } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'doc' , { a: 1 , b: [ 'two' , 3 ] } ) ;
+		expect( store.get( 'doc' ) ).to.equal( { a: 1 , b: [ 'two' , 3 ] } ) ;
+
+		// The codec is adopted from the header
+		await store.close() ;
+		store = new KVStore( filePath , { inMemoryValues: false } ) ;
+		await store.loadDB() ;
+		expect( store.codec ).to.be( ukvstore.codecs.json ) ;
+		expect( await store.get( 'doc' ) ).to.equal( { a: 1 , b: [ 'two' , 3 ] } ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { codec: 'v8' } ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'badFormat' } ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should store structured clones with the v8 codec" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { codec: 'v8' } ) ,
+			value = { date: new Date( 123456 ) , set: new Set( [ 1 , 2 ] ) } ;
+
+		await store.loadDB() ;
+		await store.set( 'doc' , value ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.get( 'doc' ) ).to.equal( value ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should use a custom codec" , async () => {
+		var filePath = tmpPath() ,
+			codec = {
+				name: 'csv' ,
+				encode: value => value.join( ',' ) ,
+				decode: buffer => buffer.toString().split( ',' )
+			} ,
+			store = new KVStore( filePath , { codec } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'row' , [ 'a' , 'b' , 'c' ] ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { codec } ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'row' , [ 'a' , 'b' , 'c' ] ] ] ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'badFormat' } ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should not share objects with the userland" , async () => {
+		var document , filePath = tmpPath() ,
+			store = new KVStore( filePath , { codec: 'json' } ) ,
+			cachedStore = new KVStore( filePath + '.2' , { codec: 'json' , inMemoryValues: false , cache: true } ) ;
+
+		await store.loadDB() ;
+		await cachedStore.loadDB() ;
+
+		for ( let someStore of [ store , cachedStore ] ) {
+			document = { name: 'alice' } ;
+			await someStore.set( 'doc' , document ) ;
+			document.name = 'bob' ;
+			expect( await someStore.get( 'doc' ) ).to.equal( { name: 'alice' } ) ;
+
+			// Twice, the second one is from the cache
+			for ( let i = 0 ; i < 2 ; i ++ ) {
+				document = await someStore.get( 'doc' ) ;
+				document.name = 'carol' ;
+				expect( await someStore.get( 'doc' ) ).to.equal( { name: 'alice' } ) ;
+			}
+
+			for ( let [ , value ] of someStore.entries() ) { ( await value ).name = 'dave' ; }
+			expect( await someStore.get( 'doc' ) ).to.equal( { name: 'alice' } ) ;
+		}
+
+		expect( cachedStore.stats().cache.hits ).to.be.above( 0 ) ;
+
+		await store.close() ;
+		await cachedStore.close() ;
+		cleanPath( filePath ) ;
+		cleanPath( filePath + '.2' ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Indexed store" , () => {
+
+	var users = {
+		alice: { name: 'Alice' , city: 'Paris' , age: 31 } ,
+		bob: { name: 'Bob' , city: 'Lyon' , age: 25 } ,
+		carol: { name: 'Carol' , city: 'Paris' , age: 25 }
+	} ;
+
+	function createStore( filePath ) {
+		return new IndexedStore( filePath , {
+			indexes: {
+				city: user => user.city ,
+				age: user => user.age
+			}
+		} ) ;
+	}
+
+	it( "should keep indexes consistent on set, delete and clear" , async () => {
+		var filePath = tmpPath() ,
+			store = createStore( filePath ) ;
+
+		await store.loadDB() ;
+		for ( let id in users ) { await store.set( id , users[ id ] ) ; }
+
+		expect( store.findIdsBy( 'city' , 'Paris' ) ).to.equal( [ 'alice' , 'carol' ] ) ;
+		expect( await store.findBy( 'age' , 25 ) ).to.equal( [ users.bob , users.carol ] ) ;
+
+		await store.set( 'alice' , { name: 'Alice' , city: 'Lyon' , age: 31 } ) ;
+		await store.delete( 'carol' ) ;
+		expect( store.findIdsBy( 'city' , 'Paris' ) ).to.equal( [] ) ;
+		expect( store.findIdsBy( 'city' , 'Lyon' ) ).to.equal( [ 'bob' , 'alice' ] ) ;
+		expect( store.findIdsBy( 'age' , 25 ) ).to.equal( [ 'bob' ] ) ;
+		await store.close() ;
+
+		// Indexes are persisted
+		store = createStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.findIdsBy( 'city' , 'Lyon' ) ).to.equal( [ 'bob' , 'alice' ] ) ;
+
+		await store.clear() ;
+		expect( store.findIdsBy( 'city' , 'Lyon' ) ).to.equal( [] ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should rebuild indexes when the store was not closed properly" , async () => {
+		var filePath = tmpPath() ,
+			store = createStore( filePath ) ;
+
+		await store.loadDB() ;
+		for ( let id in users ) { await store.set( id , users[ id ] ) ; }
+
+		// Simulate a crash between the document write and the index update
+		await store.store.set( 'bob' , { name: 'Bob' , city: 'Paris' , age: 25 } ) ;
+
+		// The process dies: its locks are released, but the dirty marker remains
+		await store.store.close() ;
+		for ( let name in store.indexes ) { await store.indexes[ name ].store.close() ; }
+
+		store = createStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.findIdsBy( 'city' , 'Paris' ) ).to.equal( [ 'alice' , 'bob' , 'carol' ] ) ;
+		expect( store.findIdsBy( 'city' , 'Lyon' ) ).to.equal( [] ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should update indexes when a document got from the store is changed and set back" , async () => {
+		var user , filePath = tmpPath() ,
+			store = new IndexedStore( filePath , { indexes: { name: doc => doc.name } } ) ;
+
+		await store.loadDB() ;
+		await store.set( '1' , { name: 'alice' } ) ;
+
+		user = await store.get( '1' ) ;
+		user.name = 'bob' ;
+		await store.set( '1' , user ) ;
+		expect( store.findIdsBy( 'name' , 'alice' ) ).to.equal( [] ) ;
+		expect( store.findIdsBy( 'name' , 'bob' ) ).to.equal( [ '1' ] ) ;
+
+		user.name = 'carol' ;
+		await store.set( '1' , user ) ;
+		expect( store.findIdsBy( 'name' , 'bob' ) ).to.equal( [] ) ;
+		expect( store.findIdsBy( 'name' , 'carol' ) ).to.equal( [ '1' ] ) ;
+		await store.close() ;
+
+		// The ID -> key map is restored from the index file
+		store = new IndexedStore( filePath , { indexes: { name: doc => doc.name } } ) ;
+		await store.loadDB() ;
+		user = await store.get( '1' ) ;
+		user.name = 'dave' ;
+		await store.set( '1' , user ) ;
+		await store.delete( '1' ) ;
+		expect( store.findIdsBy( 'name' , 'carol' ) ).to.equal( [] ) ;
+		expect( store.findIdsBy( 'name' , 'dave' ) ).to.equal( [] ) ;
+		expect( store.indexes.name.store.size ).to.be( 0 ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should encrypt indexes of an encrypted store, and return copies of ID arrays" , async () => {
+		var filePath = tmpPath() ,
+			store = new IndexedStore( filePath , {
+				encryption: { key: crypto.randomBytes( 32 ) } ,
+				indexes: { city: user => user.city }
+			} ) ;
+
+		await store.loadDB() ;
+		for ( let id in users ) { await store.set( id , users[ id ] ) ; }
+
+		store.findIdsBy( 'city' , 'Paris' ).push( 'mallory' ) ;
+		expect( store.findIdsBy( 'city' , 'Paris' ) ).to.equal( [ 'alice' , 'carol' ] ) ;
+		await store.close() ;
+
+		expect( fs.readFileSync( filePath + '.city.idx' ).includes( 'Paris' ) ).to.be( false ) ;
+		expect( fs.readFileSync( filePath + '.city.idx' ).includes( 'alice' ) ).to.be( false ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "TTL" , () => {
+
+	it( "should hide expired keys and reclaim them" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { checksum: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'short' , 'value' , { ttl: 20 } ) ;
+		await store.set( 'long' , 'value' , { ttl: 60000 } ) ;
+		await store.set( 'forever' , 'value' ) ;
+		expect( store.has( 'short' ) ).to.be( true ) ;
+
+		expect( store.size ).to.be( 3 ) ;
+
+		await Promise.resolveTimeout( 30 ) ;
+		// Not reclaimed yet, but not counted
+		expect( store.map.size ).to.be( 3 ) ;
+		expect( store.size ).to.be( 2 ) ;
+		expect( store.has( 'short' ) ).to.be( false ) ;
+		expect( store.get( 'short' ) ).to.be( undefined ) ;
+		expect( [ ... store.keys() ] ).to.equal( [ 'long' , 'forever' ] ) ;
+
+		expect( await store.sweep() ).to.be( 0 ) ;	// already reclaimed by .has()
+		expect( store.map.has( 'short' ) ).to.be( false ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { inMemoryValues: false } ) ;
+		await store.loadDB() ;
+		expect( [ ... store.keys() ] ).to.equal( [ 'long' , 'forever' ] ) ;
+		expect( store.map.get( 'long' ).e ).to.be.above( Date.now() ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should drop expired entries on load, and set TTL with .expire()" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'value' ) ;
+		await store.set( 'b' , 'value' ) ;
+		expect( await store.expire( 'a' , 20 ) ).to.be( true ) ;
+		expect( await store.expire( 'unknown' , 20 ) ).to.be( false ) ;
+		await Promise.resolveTimeout( 30 ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.map.has( 'a' ) ).to.be( false ) ;
+		expect( store.freeSpace.size ).to.be.above( 0 ) ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'b' , 'value' ] ] ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should delete expired keys with the sweeper" , async () => {
+		var store = new KVStore( null , { sweepInterval: 10 } ) ;
+
+		await store.set( 'a' , 'value' , { ttl: 5 } ) ;
+		await store.set( 'b' , 'value' ) ;
+		await Promise.resolveTimeout( 40 ) ;
+		expect( store.map.size ).to.be( 1 ) ;
+		store.stopSweeper() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Batch and transaction" , () => {
+
+	it( "should apply a batch in one write" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { journal: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'value' ) ;
+		await store.set( 'b' , 'value' ) ;
+
+		await expect( () => store.batch( [ { type: 'set' , key: 'c' , value: 'value' } , { type: 'bad' , key: 'a' } ] ) ).to.reject() ;
+		expect( store.has( 'c' ) ).to.be( false ) ;
+
+		// Count the writes
+		var writeCount = 0 , writeDB = store.writeDB ;
+		store.writeDB = function( ops ) { writeCount ++ ; return writeDB.call( this , ops ) ; } ;
+
+		await store.batch( [
+			{ type: 'set' , key: 'a' , value: 'a much longer value, that will be relocated' } ,
+			{ type: 'delete' , key: 'b' } ,
+			{ type: 'set' , key: 'c' , value: 'new value' } ,
+			{ type: 'delete' , key: 'unknown' }
+		] ) ;
+
+		expect( writeCount ).to.be( 1 ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { journal: true } ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'a' , 'a much longer value, that will be relocated' ] , [ 'c' , 'new value' ] ] ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should keep a batch atomic on disk without the journal option" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ,
+			applyOps = Journal.applyOps ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'value' ) ;
+		await store.set( 'b' , 'value' ) ;
+		await store.batch( [ { type: 'set' , key: 'c' , value: 'value' } ] ) ;
+		expect( fs.statSync( filePath + '.journal' ).size ).to.be( 0 ) ;
+
+		// Simulate a crash after the first write of the batch
+		Journal.applyOps = async ( file , ops ) => {
+			await applyOps( file , ops.slice( 0 , 1 ) ) ;
+			throw new Error( "crash" ) ;
+		} ;
+
+		try {
+			await expect( () => store.batch( [
+				{ type: 'set' , key: 'a' , value: 'a much longer value, that will be relocated' } ,
+				{ type: 'delete' , key: 'b' } ,
+				{ type: 'set' , key: 'd' , value: 'new value' }
+			] ) ).to.reject() ;
+		}
+		finally {
+			Journal.applyOps = applyOps ;
+		}
+
+		// The process dies without closing the store
+		await store.file.close() ;
+		await store.batchJournal.close() ;
+		await store.lockFile.release() ;
+
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'c' , 'value' ] , [ 'a' , 'a much longer value, that will be relocated' ] , [ 'd' , 'new value' ] ] ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+
+		await store.close() ;
+		expect( fs.existsSync( filePath + '.journal' ) ).to.be( false ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should reject a batch with a key too long before changing anything" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ,
+			longKey = 'k'.repeat( 70000 ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'value' ) ;
+
+		await expect( () => store.batch( [ { type: 'delete' , key: 'a' } , { type: 'set' , key: longKey , value: 'value' } ] ) ).to.reject.with.an( Error , { code: 'tooLong' } ) ;
+		await expect( () => store.set( longKey , 'value' ) ).to.reject.with.an( Error , { code: 'tooLong' } ) ;
+		expect( store.has( longKey ) ).to.be( false ) ;
+		expect( store.get( 'a' ) ).to.be( 'value' ) ;
+
+		// The block of 'a' must not be reused
+		await store.set( 'c' , 'other' ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'a' , 'value' ] , [ 'c' , 'other' ] ] ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should commit a transaction, or discard it if the callback throws" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ;
+
+		await store.loadDB() ;
+		await store.set( 'balance:alice' , '100' ) ;
+		await store.set( 'balance:bob' , '0' ) ;
+
+		var transfer = async ( tx , amount ) => {
+			tx.set( 'balance:alice' , '' + ( + tx.get( 'balance:alice' ) - amount ) ) ;
+			tx.set( 'balance:bob' , '' + ( + tx.get( 'balance:bob' ) + amount ) ) ;
+			expect( tx.get( 'balance:bob' ) ).to.be( '' + amount ) ;
+			expect( store.get( 'balance:bob' ) ).to.be( '0' ) ;
+			if ( + tx.get( 'balance:alice' ) < 0 ) { throw new Error( "Insufficient funds" ) ; }
+			return amount ;
+		} ;
+
+		await expect( () => store.transaction( tx => transfer( tx , 150 ) ) ).to.reject.with.an( Error , { message: "Insufficient funds" } ) ;
+		expect( store.get( 'balance:alice' ) ).to.be( '100' ) ;
+
+		expect( await store.transaction( tx => transfer( tx , 30 ) ) ).to.be( 30 ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'balance:alice' , '70' ] , [ 'balance:bob' , '30' ] ] ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "I/O queue" , () => {
+
+	it( "should run reads in parallel, and writes alone in FIFO order" , async () => {
+		var queue = new IOQueue() ,
+			log = [] ,
+			promises = [] ;
+
+		var task = ( name , ms ) => async () => {
+			log.push( '+' + name ) ;
+			await Promise.resolveTimeout( ms ) ;
+			log.push( '-' + name ) ;
+			return name ;
+		} ;
+
+		promises.push( queue.read( task( 'r1' , 20 ) ) ) ;
+		promises.push( queue.read( task( 'r2' , 10 ) ) ) ;
+		promises.push( queue.write( task( 'w1' , 5 ) ) ) ;
+		promises.push( queue.read( task( 'r3' , 5 ) ) ) ;
+		promises.push( queue.write( () => { throw new Error( "failed" ) ; } ) ) ;
+		promises.push( queue.write( task( 'w2' , 5 ) ) ) ;
+		expect( queue.depth ).to.be( 6 ) ;
+		expect( queue.running ).to.be( 2 ) ;
+
+		await expect( () => promises[ 4 ] ).to.reject.with.an( Error , { message: "failed" } ) ;
+		expect( await Promise.all( [ promises[ 0 ] , promises[ 2 ] , promises[ 5 ] ] ) ).to.equal( [ 'r1' , 'w1' , 'w2' ] ) ;
+		expect( log ).to.equal( [ '+r1' , '+r2' , '-r2' , '-r1' , '+w1' , '-w1' , '+r3' , '-r3' , '+w2' , '-w2' ] ) ;
+		expect( queue.depth ).to.be( 0 ) ;
+	} ) ;
+
+	it( "should not lock the store when a write fails" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { inMemoryValues: false } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'one' , 'first value' ) ;
+
+		var writeDB = store.writeDB ;
+		store.writeDB = () => { throw new Error( "Disk full" ) ; } ;
+		await expect( () => store.set( 'two' , 'second value' ) ).to.reject.with.an( Error , { message: "Disk full" } ) ;
+		store.writeDB = writeDB ;
+
+		var values = [ store.get( 'one' ) , store.get( 'one' ) ] ;
+		expect( store.queueDepth ).to.be( 2 ) ;
+		expect( await Promise.all( values ) ).to.equal( [ 'first value' , 'first value' ] ) ;
+
+		await store.set( 'three' , 'third value' ) ;
+		expect( await store.get( 'three' ) ).to.be( 'third value' ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Locking" , () => {
+
+	it( "should lock the store for other writers, but not for readers" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ,
+			other = new KVStore( filePath ) ,
+			reader = new KVStore( filePath , { readOnly: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'value' ) ;
+		expect( fs.readFileSync( filePath + '.lock' , 'utf8' ) ).to.be( '' + process.pid ) ;
+
+		await expect( () => other.loadDB() ).to.reject.with.a( ukvstore.StoreLockedError , { code: 'locked' , pid: process.pid } ) ;
+
+		await reader.loadDB() ;
+		expect( reader.get( 'key' ) ).to.be( 'value' ) ;
+		await expect( () => reader.set( 'key' , 'other value' ) ).to.reject.with.an( Error , { code: 'readOnly' } ) ;
+		expect( reader.get( 'key' ) ).to.be( 'value' ) ;
+
+		await store.close() ;
+		expect( fs.existsSync( filePath + '.lock' ) ).to.be( false ) ;
+		await other.loadDB() ;
+		await other.set( 'key' , 'new value' ) ;
+		await other.close() ;
+		await reader.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should take over a stale lock" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ;
+
+		// A process that does not exist anymore
+		fs.writeFileSync( filePath + '.lock' , '99999999' ) ;
+
+		await store.loadDB() ;
+		expect( fs.readFileSync( filePath + '.lock' , 'utf8' ) ).to.be( '' + process.pid ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should not remove a fresh lock that replaced a stale one" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ;
+
+		// The lock was found stale, but another process took it over before this one
+		fs.writeFileSync( filePath + '.lock' , '' + process.pid ) ;
+		store.lockFile.readOwner = async () => 99999999 ;
+
+		await expect( () => store.loadDB() ).to.reject.with.a( ukvstore.StoreLockedError , { pid: process.pid } ) ;
+		expect( fs.readFileSync( filePath + '.lock' , 'utf8' ) ).to.be( '' + process.pid ) ;
+		expect( fs.readdirSync( path.dirname( filePath ) ).filter( name => name.startsWith( path.basename( filePath ) + '.lock.' ) ) ).to.equal( [] ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Events" , () => {
+
+	it( "should emit set, delete, clear and load events once written" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { inMemoryValues: false } ) ,
+			events = [] ;
+
+		store.on( 'load' , () => events.push( [ 'load' ] ) ) ;
+		store.on( 'set' , ( key , value , oldValue ) => events.push( [ 'set' , key , value , oldValue , store.map.get( key ).o !== null ] ) ) ;
+		store.on( 'delete' , key => events.push( [ 'delete' , key ] ) ) ;
+		store.on( 'clear' , () => events.push( [ 'clear' ] ) ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'one' ) ;
+		await store.set( 'a' , 'two' ) ;
+		await store.batch( [ { type: 'set' , key: 'a' , value: 'three' } , { type: 'set' , key: 'a' , value: 'four' } , { type: 'delete' , key: 'b' } ] ) ;
+		await store.delete( 'a' ) ;
+		await store.delete( 'a' ) ;
+		await store.clear() ;
+
+		expect( events ).to.equal( [
+			[ 'load' ] ,
+			[ 'set' , 'a' , 'one' , undefined , true ] ,
+			[ 'set' , 'a' , 'two' , 'one' , true ] ,
+			[ 'set' , 'a' , 'three' , 'two' , true ] ,
+			[ 'set' , 'a' , 'four' , 'three' , true ] ,
+			[ 'delete' , 'a' ] ,
+			[ 'clear' ]
+		] ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should watch keys by prefix" , async () => {
+		var store = new KVStore() ,
+			changes = [] ;
+
+		var unwatch = store.watch( 'user:' , change => changes.push( change ) ) ;
+
+		await store.set( 'user:1' , 'Alice' ) ;
+		await store.set( 'session:1' , 'xyz' ) ;
+		await store.set( 'user:1' , 'Alice B.' ) ;
+		await store.delete( 'session:1' ) ;
+		await store.delete( 'user:1' ) ;
+		await store.clear() ;
+		unwatch() ;
+		await store.set( 'user:2' , 'Bob' ) ;
+
+		expect( changes ).to.equal( [
+			{
+				type: 'set' , key: 'user:1' , value: 'Alice' , oldValue: undefined
+			} ,
+			{
+				type: 'set' , key: 'user:1' , value: 'Alice B.' , oldValue: 'Alice'
+			} ,
+			{ type: 'delete' , key: 'user:1' } ,
+			{ type: 'clear' }
+		] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Ordered keys" , () => {
+
+	it( "should keep a skip list sorted, and scan ranges in both directions" , () => {
+		var list = new SkipList() ,
+			keys = new Set() ,
+			key , sorted ;
+
+		for ( let i = 0 ; i < 2000 ; i ++ ) {
+			key = 'k' + Math.floor( Math.random() * 500 ) ;
+
+			if ( Math.random() < 0.3 ) {
+				expect( list.delete( key ) ).to.be( keys.delete( key ) ) ;
+			}
+			else {
+				expect( list.add( key ) ).to.be( ! keys.has( key ) ) ;
+				keys.add( key ) ;
+			}
+		}
+
+		sorted = [ ... keys ].sort() ;
+		expect( list.size ).to.be( sorted.length ) ;
+		expect( [ ... list ] ).to.equal( sorted ) ;
+		expect( [ ... list.range( { reverse: true } ) ] ).to.equal( sorted.slice().reverse() ) ;
+		expect( [ ... list.range( { gt: 'k2' , lte: 'k3' } ) ] ).to.equal( sorted.filter( k => k > 'k2' && k <= 'k3' ) ) ;
+		expect( [ ... list.range( { gte: 'k2' , lt: 'k3' , reverse: true } ) ] ).to.equal( sorted.filter( k => k >= 'k2' && k < 'k3' ).reverse() ) ;
+	} ) ;
+
+	it( "should iterate ranges and prefixes of a store" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { orderedKeys: true } ) ;
+
+		await store.loadDB() ;
+		for ( let key of [ 'user:3' , 'session:b' , 'user:1' , 'session:a' , 'user:2' , 'user:10' ] ) { await store.set( key , key.toUpperCase() ) ; }
+		await store.delete( 'user:2' ) ;
+
+		expect( [ ... store.keys() ] ).to.equal( [ 'session:a' , 'session:b' , 'user:1' , 'user:10' , 'user:3' ] ) ;
+		expect( [ ... store.prefix( 'session:' ) ] ).to.equal( [ [ 'session:a' , 'SESSION:A' ] , [ 'session:b' , 'SESSION:B' ] ] ) ;
+		expect( [ ... store.prefix( 'user:' , { reverse: true , limit: 2 } ) ] ).to.equal( [ [ 'user:3' , 'USER:3' ] , [ 'user:10' , 'USER:10' ] ] ) ;
+		expect( [ ... store.range( { gt: 'session:a' , lt: 'user:10' } ) ].map( e => e[ 0 ] ) ).to.equal( [ 'session:b' , 'user:1' ] ) ;
+
+		await store.close() ;
+		store = new KVStore( filePath , { orderedKeys: true , inMemoryValues: false } ) ;
+		await store.loadDB() ;
+		var entries = [ ... store.range( { gte: 'user:1' , lte: 'user:3' } ) ] ;
+		expect( entries.map( e => e[ 0 ] ) ).to.equal( [ 'user:1' , 'user:10' , 'user:3' ] ) ;
+		expect( await Promise.all( entries.map( e => e[ 1 ] ) ) ).to.equal( [ 'USER:1' , 'USER:10' , 'USER:3' ] ) ;
+
+		// Without the option, it still works by sorting keys first
+		await store.close() ;
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.prefix( 'user:' ) ].map( e => e[ 0 ] ) ).to.equal( [ 'user:1' , 'user:10' , 'user:3' ] ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Value cache" , () => {
+
+	it( "should evict the least recently used entries" , () => {
+		var cache = new LRUCache( { maxEntries: 3 , maxBytes: 100 } ) ;
+
+		cache.set( 'a' , 'A' , 10 ) ;
+		cache.set( 'b' , 'B' , 10 ) ;
+		cache.set( 'c' , 'C' , 10 ) ;
+		expect( cache.get( 'a' ) ).to.be( 'A' ) ;
+		cache.set( 'd' , 'D' , 10 ) ;
+		expect( [ ... cache.entries.keys() ] ).to.equal( [ 'c' , 'a' , 'd' ] ) ;
+
+		cache.set( 'e' , 'E' , 85 ) ;
+		expect( [ ... cache.entries.keys() ] ).to.equal( [ 'd' , 'e' ] ) ;
+		expect( cache.bytes ).to.be( 95 ) ;
+
+		cache.set( 'f' , 'F' , 101 ) ;
+		expect( cache.get( 'f' ) ).to.be( undefined ) ;
+		expect( cache.stats() ).to.equal( {
+			entries: 2 , bytes: 95 , hits: 1 , misses: 1 , hitRatio: 0.5
+		} ) ;
+	} ) ;
+
+	it( "should cache values of a store not keeping them in memory, and keep them up to date" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'first a' ) ;
+		await store.set( 'b' , 'first b' ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath , { inMemoryValues: false , cache: { maxEntries: 10 } } ) ;
+		await store.loadDB() ;
+		expect( await store.get( 'a' ) ).to.be( 'first a' ) ;
+		expect( await store.get( 'a' ) ).to.be( 'first a' ) ;
+		expect( store.stats().cache ).to.partially.equal( { entries: 1 , hits: 1 , misses: 1 } ) ;
+
+		// A read started before a write must not cache the old value
+		var oldValue = store.get( 'b' ) ;
+		await store.set( 'b' , 'second b' ) ;
+		expect( await oldValue ).to.be( 'first b' ) ;
+		expect( await store.get( 'b' ) ).to.be( 'second b' ) ;
+		expect( store.stats().cache ).to.partially.equal( { entries: 2 , hits: 2 , misses: 2 } ) ;
+
+		await store.delete( 'a' ) ;
+		expect( store.stats().cache.entries ).to.be( 1 ) ;
+		expect( await store.get( 'a' ) ).to.be( undefined ) ;
+
+		await store.clear() ;
+		expect( store.stats().cache.entries ).to.be( 0 ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+	it( "should count the same size for a value written or read from a compressed file" , async () => {
+		var filePath = tmpPath() ,
+			value = 'compressible '.repeat( 100 ) ,
+			options = { compression: 'deflate' , inMemoryValues: false , cache: true } ,
+			store = new KVStore( filePath , options ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , value ) ;
+		expect( store.stats().cache.bytes ).to.be( value.length ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath , options ) ;
+		await store.loadDB() ;
+		expect( store.map.get( 'a' ).vs ).to.be.below( value.length ) ;
+		expect( await store.get( 'a' ) ).to.be( value ) ;
+		expect( store.stats().cache.bytes ).to.be( value.length ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Compression" , () => {
+
+	it( "should compress big values, and load files mixing compressed and uncompressed entries" , async () => {
+		var filePath = tmpPath() ,
+			big = JSON.stringify( Array.from( { length: 200 } , ( e , i ) => ( { id: i , name: 'user' , active: true } ) ) ) ,
+			store = new KVStore( filePath , { checksum: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'plain' , big ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath , { compression: 'deflate' , compressionThreshold: 100 } ) ;
+		await store.loadDB() ;
+		await store.set( 'deflate' , big ) ;
+		await store.set( 'small' , 'too small to be compressed' ) ;
+		expect( store.map.get( 'deflate' ).s ).to.be.below( store.map.get( 'plain' ).s / 4 ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath , { compression: 'brotli' , inMemoryValues: false } ) ;
+		await store.loadDB() ;
+		await store.set( 'brotli' , big ) ;
+
+		// A moderate quality by default, not zlib's maximum
+		expect( store.map.get( 'brotli' ).vs ).to.be( zlib.brotliCompressSync( big , { params: { [ zlib.constants.BROTLI_PARAM_QUALITY ]: 4 } } ).length ) ;
+		expect( store.map.get( 'deflate' ).z ).to.be.ok() ;
+		expect( store.map.get( 'brotli' ).z ).to.be.ok() ;
+		expect( store.map.get( 'plain' ).z ).to.be( undefined ) ;
+		expect( await store.get( 'deflate' ) ).to.be( big ) ;
+		expect( await store.get( 'brotli' ) ).to.be( big ) ;
+		expect( await store.get( 'small' ) ).to.be( 'too small to be compressed' ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+		await store.close() ;
+
+		// No compression option: existing entries are still decompressed, and rewritten uncompressed
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.values() ] ).to.equal( [ big , big , 'too small to be compressed' , big ] ) ;
+		await store.repairDB() ;
+		expect( store.map.get( 'brotli' ).s ).to.be( store.map.get( 'plain' ).s ) ;
+		expect( store.get( 'brotli' ) ).to.be( big ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Encryption" , () => {
+
+	it( "should encrypt values (and optionally keys) and refuse to load with a wrong key" , async () => {
+		var filePath = tmpPath() ,
+			key = crypto.randomBytes( 32 ) ,
+			store = new KVStore( filePath , { encryption: { key } } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'secret-key' , 'secret-value' ) ;
+		await store.set( 'expiring' , 'another-secret' , { ttl: 60000 } ) ;
+		await store.close() ;
+
+		var content = fs.readFileSync( filePath ).toString( 'latin1' ) ;
+		expect( content ).to.contain( 'secret-key' ) ;
+		expect( content ).not.to.contain( 'secret-value' ) ;
+
+		store = new KVStore( filePath , { encryption: { key , encryptKeys: true } , inMemoryValues: false } ) ;
+		await store.loadDB() ;
+		expect( await store.get( 'secret-key' ) ).to.be( 'secret-value' ) ;
+		expect( await store.get( 'expiring' ) ).to.be( 'another-secret' ) ;
+		await store.set( 'hidden-key' , 'hidden-value' ) ;
+		expect( await store.get( 'hidden-key' ) ).to.be( 'hidden-value' ) ;
+		await store.close() ;
+
+		content = fs.readFileSync( filePath ).toString( 'latin1' ) ;
+		expect( content ).not.to.contain( 'hidden-key' ) ;
+
+		store = new KVStore( filePath , { encryption: { key: crypto.randomBytes( 32 ) } } ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'badKey' } ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'badKey' } ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should detect tampered entries at load time and at retrieve time" , async () => {
+		var filePath = tmpPath() ,
+			encryption = { key: crypto.randomBytes( 32 ) } ,
+			store = new KVStore( filePath , { encryption , inMemoryValues: false } ) ,
+			mapV , fd ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'value' ) ;
+		mapV = store.map.get( 'key' ) ;
+
+		// Flip a bit of the encrypted value behind the store's back
+		fd = fs.openSync( filePath , 'r+' ) ;
+		fs.writeSync( fd , Buffer.from( [ fs.readFileSync( filePath )[ mapV.o + mapV.vo ] ^ 1 ] ) , 0 , 1 , mapV.o + mapV.vo ) ;
+		fs.closeSync( fd ) ;
+
+		await expect( () => store.get( 'key' ) ).to.reject.with.an( Error ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath , { encryption } ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'corrupted' } ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should re-encrypt entries with the current key on compaction" , async () => {
+		var filePath = tmpPath() ,
+			oldKey = crypto.randomBytes( 32 ) ,
+			newKey = crypto.randomBytes( 32 ) ,
+			big = 'compressible '.repeat( 100 ) ,
+			store = new KVStore( filePath , { compression: 'deflate' , encryption: { key: oldKey } } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'a' , 'one' ) ;
+		await store.set( 'b' , big ) ;
+		await store.close() ;
+
+		// Plain entries are encrypted too
+		store = new KVStore( filePath , { inMemoryValues: false , encryption: { key: newKey , previousKeys: [ oldKey ] } } ) ;
+		await store.loadDB() ;
+		expect( await store.get( 'b' ) ).to.be( big ) ;
+		await store.compactDB() ;
+		expect( store.map.get( 'b' ).z ).to.be( undefined ) ;
+		expect( await store.get( 'a' ) ).to.be( 'one' ) ;
+		expect( await store.get( 'b' ) ).to.be( big ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath , { encryption: { key: newKey } } ) ;
+		await store.loadDB() ;
+		expect( store.get( 'a' ) ).to.be( 'one' ) ;
+		expect( store.get( 'b' ) ).to.be( big ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Value streams" , () => {
+
+	function streamOf( buffer , chunkSize ) {
+		var chunks = [] ;
+		for ( let i = 0 ; i < buffer.length ; i += chunkSize ) { chunks.push( buffer.slice( i , i + chunkSize ) ) ; }
+		return stream.Readable.from( chunks , { objectMode: false } ) ;
+	}
+
+	async function streamToBuffer( readable ) {
+		var chunks = [] ;
+		for await ( let chunk of readable ) { chunks.push( chunk ) ; }
+		return Buffer.concat( chunks ) ;
+	}
+
+	it( "should stream values in and out of the DB file, by chunks" , async () => {
+		var filePath = tmpPath() ,
+			options = {
+				inMemoryValues: false , bufferValues: true , checksum: true , encryption: { key: crypto.randomBytes( 32 ) }
+			} ,
+			data = crypto.randomBytes( 300000 ) ,
+			store = new KVStore( filePath , options ) ;
+
+		await store.loadDB() ;
+		await store.set( 'blob' , 'old' ) ;
+		await stream.promises.pipeline( streamOf( data , 50000 ) , store.createValueWriteStream( 'blob' , { size: data.length } ) ) ;
+		expect( ( await store.get( 'blob' ) ).equals( data ) ).to.be( true ) ;
+		expect( ( await streamToBuffer( store.createValueReadStream( 'blob' , { chunkSize: 7000 } ) ) ).equals( data ) ).to.be( true ) ;
+		expect( store.createValueReadStream( 'unknown' ) ).to.be( null ) ;
+
+		// Too short: the old value is kept, and the reserved block is given back
+		var eof = store.eof ;
+		await expect( () => stream.promises.pipeline(
+			streamOf( data.slice( 0 , 1000 ) , 500 ) ,
+			store.createValueWriteStream( 'blob' , { size: data.length } )
+		) ).to.reject.with.an( Error , { code: 'sizeMismatch' } ) ;
+		expect( ( await store.get( 'blob' ) ).equals( data ) ).to.be( true ) ;
+		await store.set( 'other' , 'value' ) ;
+		await store.close() ;
+		expect( store.eof ).to.be.below( eof + 1000 ) ;
+
+		store = new KVStore( filePath , options ) ;
+		await store.loadDB() ;
+		expect( ( await store.get( 'blob' ) ).equals( data ) ).to.be( true ) ;
+		expect( await store.get( 'other' ) ).to.equal( Buffer.from( 'value' ) ) ;
+		expect( ( await store.verifyDB() ).ok ).to.be( true ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should abort a read stream when its entry changes, and inflate compressed values" , async () => {
+		var filePath = tmpPath() ,
+			big = 'compressible '.repeat( 2000 ) ,
+			store = new KVStore( filePath , { inMemoryValues: false , compression: 'brotli' , compressionLevel: 4 } ) ,
+			iterator ;
+
+		await store.loadDB() ;
+		await store.set( 'big' , big ) ;
+		expect( ( await streamToBuffer( store.createValueReadStream( 'big' ) ) ).toString() ).to.be( big ) ;
+
+		await stream.promises.pipeline( streamOf( Buffer.from( big ) , 10000 ) , store.createValueWriteStream( 'raw' , { size: big.length } ) ) ;
+		iterator = store.createValueReadStream( 'raw' , { chunkSize: 1000 , highWaterMark: 1000 } )[ Symbol.asyncIterator ]() ;
+		await iterator.next() ;
+		await store.set( 'raw' , 'changed' ) ;
+		await expect( async () => { while ( ! ( await iterator.next() ).done ) ; } ).to.reject.with.an( Error , { code: 'changed' } ) ;
+		expect( await store.get( 'raw' ) ).to.be( 'changed' ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should not let a compaction move a streamed block before its header is written, and fsync the value first" , async () => {
+		var filePath = tmpPath() ,
+			data = crypto.randomBytes( 100000 ) ,
+			store = new KVStore( filePath , { inMemoryValues: false , bufferValues: true , journal: true } ) ,
+			log = [] , compacting = null , mapSet , sync , append ;
+
+		await store.loadDB() ;
+		await store.set( 'other' , 'value' ) ;
+
+		// Queue a compaction right when the streamed entry is added to the map
+		mapSet = store.mapSet ;
+		store.mapSet = function( key , mapV ) {
+			mapSet.call( this , key , mapV ) ;
+			if ( key === 'blob' && ! compacting ) { compacting = store.compactDB().catch( error => error ) ; }
+		} ;
+
+		sync = store.file.sync.bind( store.file ) ;
+		store.file.sync = () => { log.push( 'sync' ) ; return sync() ; } ;
+		append = store.journal.append.bind( store.journal ) ;
+		store.journal.append = ops => { log.push( 'append' ) ; return append( ops ) ; } ;
+
+		await stream.promises.pipeline( streamOf( data , 30000 ) , store.createValueWriteStream( 'blob' , { size: data.length } ) ) ;
+		expect( ( await compacting ).code ).to.be( 'busy' ) ;
+		expect( log.slice( -2 ) ).to.equal( [ 'sync' , 'append' ] ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath , { inMemoryValues: false , bufferValues: true , journal: true } ) ;
+		await store.loadDB() ;
+		expect( [ ... store.keys() ] ).to.equal( [ 'other' , 'blob' ] ) ;
+		expect( ( await store.get( 'blob' ) ).equals( data ) ).to.be( true ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should stream values of an in-memory store" , async () => {
+		var store = new KVStore( null , { codec: 'json' } ) ;
+
+		await stream.promises.pipeline( streamOf( Buffer.from( '{"a":[1,2,3]}' ) , 4 ) , store.createValueWriteStream( 'key' ) ) ;
+		expect( store.get( 'key' ) ).to.equal( { a: [ 1 , 2 , 3 ] } ) ;
+		expect( ( await streamToBuffer( store.createValueReadStream( 'key' ) ) ).toString() ).to.be( '{"a":[1,2,3]}' ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Export and import" , () => {
+
+	function collector( chunks , delay = 0 ) {
+		return new stream.Writable( {
+			write: ( chunk , encoding , callback ) => {
+				chunks.push( chunk ) ;
+				setTimeout( callback , delay ) ;
+			}
+		} ) ;
+	}
+
+	it( "should export in NDJSON and import it back" , async () => {
+		var chunks = [] ,
+			store = new KVStore( null , { codec: 'json' } ) ;
+
+		await store.set( 'user:1' , { name: 'Bob' } ) ;
+		await store.set( 'user:2' , { name: 'Alice' } , { ttl: 60000 } ) ;
+		expect( await store.export( collector( chunks ) ) ).to.be( 2 ) ;
+
+		var lines = Buffer.concat( chunks ).toString()
+			.split( '\n' ) ;
+		expect( JSON.parse( lines[ 0 ] ) ).to.equal( { format: 'ukvstore' , version: 1 } ) ;
+		expect( JSON.parse( lines[ 1 ] ) ).to.equal( { k: 'user:1' , v: '{"name":"Bob"}' } ) ;
+		expect( JSON.parse( lines[ 3 ] ) ).to.equal( { end: true , count: 2 } ) ;
+
+		var imported = await KVStore.import( stream.Readable.from( chunks ) , null , { codec: 'json' } ) ;
+		expect( imported.get( 'user:1' ) ).to.equal( { name: 'Bob' } ) ;
+		expect( imported.get( 'user:2' ) ).to.equal( { name: 'Alice' } ) ;
+		expect( imported.map.get( 'user:2' ).e ).to.be( store.map.get( 'user:2' ).e ) ;
+	} ) ;
+
+	it( "should export a consistent snapshot in binary while writes go on" , async () => {
+		var filePath = tmpPath() ,
+			chunks = [] ,
+			store = new KVStore( filePath , { inMemoryValues: false , bufferValues: true , checksum: true } ) ,
+			exported , imported ;
+
+		await store.loadDB() ;
+		for ( let i = 0 ; i < 20 ; i ++ ) { await store.set( 'key' + i , Buffer.from( 'value' + i ) ) ; }
+
+		exported = store.export( collector( chunks , 1 ) , { format: 'binary' } ) ;
+		await store.set( 'key15' , 'changed' ) ;
+		await store.delete( 'key16' ) ;
+		await store.set( 'new' , 'new' ) ;
+		await store.clear() ;
+		expect( await exported ).to.be( 20 ) ;
+		expect( store.snapshots.size ).to.be( 0 ) ;
+
+		imported = new KVStore( null , { bufferValues: true } ) ;
+		expect( await imported.import( stream.Readable.from( chunks ) ) ).to.be( 20 ) ;
+		expect( imported.get( 'key15' ) ).to.equal( Buffer.from( 'value15' ) ) ;
+		expect( imported.get( 'key16' ) ).to.equal( Buffer.from( 'value16' ) ) ;
+		expect( imported.has( 'new' ) ).to.be( false ) ;
+
+		// A truncated export is detected
+		var truncated = Buffer.concat( chunks ) ;
+		truncated = truncated.slice( 0 , truncated.length - 3 ) ;
+		await expect( () => new KVStore().import( stream.Readable.from( [ truncated ] ) ) ).to.reject.with.an( Error , { code: 'badExport' } ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should only count imported entries, and report invalid lines" , async () => {
+		var store = new KVStore() ,
+			header = '{"format":"ukvstore","version":1}\n' ;
+
+		expect( await store.import( stream.Readable.from( [ header + '{"k":"a","v":"one"}\n{"k":"old","v":"x","e":1}\n{"end":true,"count":2}\n' ] ) ) ).to.be( 1 ) ;
+		expect( [ ... store.keys() ] ).to.equal( [ 'a' ] ) ;
+
+		await expect( () => store.import( stream.Readable.from( [ header + 'null\n' ] ) ) ).to.reject.with.an( Error , { code: 'badExport' , message: "Bad export: invalid line 2 (not an object)" } ) ;
+		await expect( () => store.import( stream.Readable.from( [ header + '\n{"k":\n' ] ) ) ).to.reject.with.an( Error , { code: 'badExport' , message: "Bad export: invalid line 3 (not JSON)" } ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Backup" , () => {
+
+	it( "should backup a consistent copy while writes go on" , async () => {
+		var filePath = tmpPath() ,
+			backupPath = tmpPath() ,
+			key = crypto.randomBytes( 32 ) ,
+			store = new KVStore( filePath , { inMemoryValues: false , checksum: true , encryption: { key } } ) ,
+			backup , result , restored ;
+
+		await store.loadDB() ;
+		for ( let i = 0 ; i < 20 ; i ++ ) { await store.set( 'key' + i , 'value' + i ) ; }
+		await store.set( 'expired' , 'value' , { ttl: 1 } ) ;
+		await Promise.resolveTimeout( 5 ) ;
+
+		backup = store.backup( backupPath ) ;
+		await store.set( 'key15' , 'changed' ) ;
+		await store.delete( 'key16' ) ;
+		await store.set( 'new' , 'new' ) ;
+		result = await backup ;
+		expect( result ).to.partially.equal( { entries: 20 , copied: 20 } ) ;
+		expect( store.snapshots.size ).to.be( 0 ) ;
+
+		restored = new KVStore( backupPath , { encryption: { key } } ) ;
+		await restored.loadDB() ;
+		expect( restored.size ).to.be( 20 ) ;
+		expect( restored.get( 'key15' ) ).to.be( 'value15' ) ;
+		expect( restored.get( 'key16' ) ).to.be( 'value16' ) ;
+		expect( restored.has( 'new' ) ).to.be( false ) ;
+		expect( ( await restored.verifyDB() ).ok ).to.be( true ) ;
+		await restored.close() ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+		cleanPath( backupPath ) ;
+	} ) ;
+
+	it( "should only read changed entries from the store in incremental mode" , async () => {
+		var filePath = tmpPath() ,
+			backupPath = tmpPath() ,
+			store = new KVStore( filePath , { inMemoryValues: false } ) ,
+			restored ;
+
+		await store.loadDB() ;
+		for ( let i = 0 ; i < 20 ; i ++ ) { await store.set( 'key' + i , 'value' + i ) ; }
+		expect( await store.backup( backupPath , { incremental: true } ) ).to.partially.equal( { entries: 20 , copied: 20 } ) ;
+
+		await store.set( 'key3' , 'changed' ) ;
+		await store.delete( 'key4' ) ;
+		await store.set( 'new' , 'new' ) ;
+		expect( await store.backup( backupPath , { incremental: true } ) ).to.partially.equal( { entries: 20 , copied: 2 } ) ;
+
+		restored = new KVStore( backupPath ) ;
+		await restored.loadDB() ;
+		expect( restored.size ).to.be( 20 ) ;
+		expect( restored.get( 'key3' ) ).to.be( 'changed' ) ;
+		expect( restored.get( 'key5' ) ).to.be( 'value5' ) ;
+		expect( restored.get( 'new' ) ).to.be( 'new' ) ;
+		expect( restored.has( 'key4' ) ).to.be( false ) ;
+		await restored.close() ;
+
+		// Once the backup file is modified, it's a full backup again
+		await fs.promises.appendFile( backupPath , Buffer.alloc( 8 ) ) ;
+		expect( await store.backup( backupPath , { incremental: true } ) ).to.partially.equal( { entries: 20 , copied: 20 } ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+		cleanPath( backupPath ) ;
+	} ) ;
+
+	it( "should refuse to backup a read-only store, another process may write to it" , async () => {
+		var filePath = tmpPath() ,
+			backupPath = tmpPath() ,
+			store = new KVStore( filePath ) ,
+			reader = new KVStore( filePath , { readOnly: true } ) ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'value' ) ;
+		await reader.loadDB() ;
+		await expect( () => reader.backup( backupPath ) ).to.reject.with.an( Error , { code: 'readOnly' } ) ;
+		expect( fs.existsSync( backupPath ) ).to.be( false ) ;
+
+		await reader.close() ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+	it( "should refuse to backup a store onto its own DB file" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'value' ) ;
+		await expect( () => store.backup( filePath ) ).to.reject.with.an( Error , { code: 'badPath' } ) ;
+		await expect( () => store.backup( path.join( path.dirname( filePath ) , '.' , path.basename( filePath ) ) ) ).to.reject.with.an( Error , { code: 'badPath' } ) ;
+
+		// The store still writes to its DB file
+		await store.set( 'other' , 'value' ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'key' , 'value' ] , [ 'other' , 'value' ] ] ) ;
+		expect( fs.existsSync( filePath + '.backup-tmp' ) ).to.be( false ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
 } ) ;
 
+
+
+describe( "Statistics" , () => {
+
+	it( "should report storage figures and write counters" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { inMemoryValues: false } ) ,
+			stats , analysis ;
+
+		await store.loadDB() ;
+		for ( let i = 0 ; i < 10 ; i ++ ) { await store.set( 'key' + i , 'value' + i ) ; }
+		await store.set( 'key0' , 'v0' ) ;
+		await store.set( 'key1' , 'x'.repeat( 100 ) ) ;
+		await store.delete( 'key2' ) ;
+		await store.set( 'new' , 'new' ) ;
+		await store.set( 'big' , 'x'.repeat( 70000 ) ) ;
+
+		stats = store.stats() ;
+		expect( stats ).to.partially.equal( {
+			entries: 11 ,
+			fileSize: store.eof ,
+			largeLPS: 1 ,
+			counters: {
+				inserts: 12 , updates: 1 , relocations: 1 , freeBlockReuses: 1
+			}
+		} ) ;
+		expect( stats.freeSpace ).to.be.above( 0 ) ;
+		expect( stats.freeRatio ).to.be( stats.freeSpace / ( store.eof - 256 ) ) ;
+		expect( Object.values( stats.blockSizes ).reduce( ( a , b ) => a + b ) ).to.be( 11 ) ;
+
+		// The file walk agrees with what is known from memory
+		analysis = await store.analyzeDB() ;
+		expect( analysis ).to.partially.equal( {
+			fileSize: stats.fileSize ,
+			entries: 11 ,
+			badBlocks: 0 ,
+			largeLPS: 1 ,
+			entryBlocksSize: stats.entryBlocksSize ,
+			slack: stats.slack ,
+			freeSpace: stats.freeSpace
+		} ) ;
+		expect( analysis.sizeClasses.map( sizeClass => sizeClass.entries ).reduce( ( a , b ) => a + b ) ).to.be( 11 ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should leave entry sizes to .analyzeDB() when values are in memory" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ,
+			stats ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'value' ) ;
+		stats = store.stats() ;
+		expect( stats.entries ).to.be( 1 ) ;
+		expect( [ 'slack' , 'averageSlack' , 'largeLPS' ].filter( name => name in stats ) ).to.equal( [] ) ;
+		expect( ( await store.analyzeDB() ).slack ).to.be.above( 0 ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Durability" , () => {
+
+	// Return an object counting fsyncs of the DB file
+	function countSyncs( store ) {
+		var counter = { syncs: 0 } ,
+			sync = store.file.sync.bind( store.file ) ;
+
+		store.file.sync = () => {
+			counter.syncs ++ ;
+			return sync() ;
+		} ;
+
+		return counter ;
+	}
+
+	it( "should fsync on flush() only when something was written" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath ) ,
+			counter ;
+
+		await store.loadDB() ;
+		counter = countSyncs( store ) ;
+		await store.set( 'key' , 'value' ) ;
+		expect( counter.syncs ).to.be( 0 ) ;
+		await store.flush() ;
+		expect( counter.syncs ).to.be( 1 ) ;
+		await store.flush() ;
+		expect( counter.syncs ).to.be( 1 ) ;
+
+		await store.close() ;
+		expect( store.file ).to.be( null ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should fsync each write with 'fsync-per-write', and share fsyncs with 'group-commit'" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { durability: 'fsync-per-write' } ) ,
+			counter ;
+
+		await store.loadDB() ;
+		counter = countSyncs( store ) ;
+		await Promise.all( [ 1 , 2 , 3 , 4 ].map( i => store.set( 'key' + i , 'value' ) ) ) ;
+		expect( counter.syncs ).to.be( 4 ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath , { durability: 'group-commit' } ) ;
+		await store.loadDB() ;
+		counter = countSyncs( store ) ;
+		await Promise.all( [ 1 , 2 , 3 , 4 ].map( i => store.set( 'key' + i , 'value2' ) ) ) ;
+		await store.delete( 'key1' ) ;
+		expect( counter.syncs ).to.be( 2 ) ;
+		await store.close() ;
+
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should fsync periodically with 'fsync-interval'" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { durability: 'fsync-interval' , durabilityInterval: 10 } ) ,
+			counter ;
+
+		await store.loadDB() ;
+		counter = countSyncs( store ) ;
+		await store.set( 'key' , 'value' ) ;
+		await Promise.resolveTimeout( 40 ) ;
+		expect( counter.syncs ).to.be( 1 ) ;
+
+		await store.close() ;
+		expect( () => new KVStore( filePath , { durability: 'sometimes' } ) ).to.throw() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should reject operations after close() instead of reopening the file" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { inMemoryValues: false } ) ,
+			other = new KVStore( filePath ) ,
+			pending ;
+
+		await store.loadDB() ;
+		pending = store.set( 'key' , 'value' ) ;
+		await store.close() ;
+		await pending ;
+
+		await expect( () => store.set( 'key' , 'other value' ) ).to.reject.with.an( Error , { code: 'closed' } ) ;
+		await expect( () => store.get( 'key' ) ).to.reject.with.an( Error , { code: 'closed' } ) ;
+		await expect( () => store.loadDB() ).to.reject.with.an( Error , { code: 'closed' } ) ;
+		expect( fs.existsSync( filePath + '.lock' ) ).to.be( false ) ;
+
+		await other.loadDB() ;
+		expect( other.get( 'key' ) ).to.be( 'value' ) ;
+		await other.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Hint file" , () => {
+
+	it( "should load from the hint file written on close, like a full scan would" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , {
+				inMemoryValues: false , hintFile: true , compression: 'deflate' , compressionThreshold: 10
+			} ) ,
+			scanned , hinted ;
+
+		await store.loadDB() ;
+		for ( let i = 0 ; i < 20 ; i ++ ) { await store.set( 'key' + i , 'value' + i ) ; }
+		await store.set( 'ttl' , 'value' , { ttl: 60000 } ) ;
+		await store.set( 'compressed' , 'x'.repeat( 100 ) ) ;
+		await store.delete( 'key5' ) ;
+		await store.close() ;
+		expect( fs.existsSync( filePath + '.hint' ) ).to.be( true ) ;
+
+		scanned = new KVStore( filePath , { inMemoryValues: false , readOnly: true } ) ;
+		await scanned.loadDB() ;
+
+		hinted = new KVStore( filePath , { inMemoryValues: false , readOnly: true , hintFile: true } ) ;
+		hinted.scanBlocks = () => { throw new Error( "The DB file should not be scanned" ) ; } ;
+		await hinted.loadDB() ;
+
+		expect( [ ... hinted.map ] ).to.equal( [ ... scanned.map ] ) ;
+		expect( [ ... hinted.freeSpace.regions ] ).to.equal( [ ... scanned.freeSpace.regions ] ) ;
+		expect( [ ... hinted.expiring ] ).to.equal( [ 'ttl' ] ) ;
+		expect( await hinted.get( 'compressed' ) ).to.be( 'x'.repeat( 100 ) ) ;
+		expect( await hinted.get( 'key6' ) ).to.be( 'value6' ) ;
+
+		await scanned.close() ;
+		await hinted.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should fall back to a full scan if the hint file is outdated" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { inMemoryValues: false , hintFile: true , journal: true } ) ,
+			hint ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'value' ) ;
+		await store.close() ;
+		hint = fs.readFileSync( filePath + '.hint' ) ;
+
+		// A writer removes it when loading
+		store = new KVStore( filePath , { inMemoryValues: false , hintFile: true } ) ;
+		await store.loadDB() ;
+		expect( fs.existsSync( filePath + '.hint' ) ).to.be( false ) ;
+		await store.set( 'key' , 'other value' ) ;
+		await store.set( 'key2' , 'value2' ) ;
+		await store.close() ;
+
+		// The hint file of the first session doesn't match the DB file anymore
+		fs.writeFileSync( filePath + '.hint' , hint ) ;
+		store = new KVStore( filePath , { inMemoryValues: false , hintFile: true } ) ;
+		await store.loadDB() ;
+		expect( await store.get( 'key' ) ).to.be( 'other value' ) ;
+		expect( await store.get( 'key2' ) ).to.be( 'value2' ) ;
+		await store.close() ;
+
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should write the hint file on .checkpoint(), and remove it on the next write" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { inMemoryValues: false , hintFile: true , journal: true } ) ,
+			hinted ;
+
+		await store.loadDB() ;
+		await store.set( 'key' , 'value' ) ;
+		await store.set( 'key2' , 'value2' ) ;
+		expect( await store.checkpoint() ).to.be( true ) ;
+		expect( fs.statSync( filePath + '.journal' ).size ).to.be( 0 ) ;
+
+		// The process could crash now: the hint file matches the DB file
+		hinted = new KVStore( filePath , { inMemoryValues: false , readOnly: true , hintFile: true } ) ;
+		hinted.scanBlocks = () => { throw new Error( "The DB file should not be scanned" ) ; } ;
+		await hinted.loadDB() ;
+		expect( await hinted.get( 'key2' ) ).to.be( 'value2' ) ;
+		await hinted.close() ;
+
+		// An in-place update doesn't change the file size
+		await store.set( 'key' , 'VALUE' ) ;
+		expect( fs.existsSync( filePath + '.hint' ) ).to.be( false ) ;
+
+		await store.close() ;
+		expect( await new KVStore( filePath , { hintFile: true } ).checkpoint() ).to.be( false ) ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Scanner" , () => {
+
+	async function createStore( filePath , options ) {
+		var store = new KVStore( filePath , options ) ;
+
+		await store.loadDB() ;
+		for ( let i = 0 ; i < 30 ; i ++ ) { await store.set( 'key' + i , 'value' + i + '-'.repeat( i * 3 ) ) ; }
+		await store.set( 'big' , 'x'.repeat( 5000 ) ) ;
+		await store.delete( 'key7' ) ;
+		await store.close() ;
+	}
+
+	it( "should load the same with small chunks, entries straddling them, and report progress" , async () => {
+		var filePath = tmpPath() ,
+			options = { checksum: true , encryption: { key: crypto.randomBytes( 32 ) , encryptKeys: true } } ,
+			progress = [] ,
+			reference , store ;
+
+		await createStore( filePath , options ) ;
+
+		reference = new KVStore( filePath , options ) ;
+		await reference.loadDB() ;
+		await reference.close() ;
+
+		// Smaller than the 'big' entry, that one is read alone
+		store = new KVStore( filePath , Object.assign( { scanChunkSize: 200 } , options ) ) ;
+		await store.loadDB( { onProgress: ( loaded , total ) => progress.push( [ loaded , total ] ) } ) ;
+
+		expect( [ ... store.map ] ).to.equal( [ ... reference.map ] ) ;
+		expect( [ ... store.freeSpace.regions ] ).to.equal( [ ... reference.freeSpace.regions ] ) ;
+		expect( store.get( 'big' ) ).to.be( 'x'.repeat( 5000 ) ) ;
+
+		expect( progress.length ).to.be.above( 5 ) ;
+		expect( progress[ progress.length - 1 ] ).to.equal( [ store.eof , store.eof ] ) ;
+		expect( progress.every( ( entry , index ) => ! index || entry[ 0 ] > progress[ index - 1 ][ 0 ] ) ).to.be( true ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should read the file by chunks, and resync after a bad block" , async () => {
+		var filePath = tmpPath() ,
+			reads = 0 ,
+			store , report , mapV , fd , read ;
+
+		await createStore( filePath , { checksum: true } ) ;
+
+		// With the default chunk size, the whole file is read at once
+		store = new KVStore( filePath , { checksum: true , inMemoryValues: false } ) ;
+		await store.ensureOpen() ;
+		read = store.file.read.bind( store.file ) ;
+		store.file.read = ( ... args ) => { reads ++ ; return read( ... args ) ; } ;
+		await store.loadDB() ;
+		expect( reads ).to.be( 1 ) ;
+		mapV = store.map.get( 'key12' ) ;
+		await store.close() ;
+
+		// Corrupt a value byte of an entry in the middle
+		fd = fs.openSync( filePath , 'r+' ) ;
+		fs.writeSync( fd , Buffer.from( [ fs.readFileSync( filePath )[ mapV.o + mapV.vo ] ^ 1 ] ) , 0 , 1 , mapV.o + mapV.vo ) ;
+		fs.closeSync( fd ) ;
+
+		store = new KVStore( filePath , { checksum: true , scanChunkSize: 256 } ) ;
+		report = await store.verifyDB() ;
+		expect( report ).to.partially.equal( { ok: false , entries: 29 } ) ;
+		expect( report.badBlocks ).to.equal( [ { offset: mapV.o , size: mapV.s , error: "checksum mismatch" } ] ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Command line tool" , () => {
+
+	// Run the CLI with captured output
+	async function run( args , input = [] ) {
+		var out = [] , err = [] ,
+			capture = chunks => new stream.Writable( { write: ( chunk , encoding , callback ) => { chunks.push( chunk ) ; callback() ; } } ) ,
+			code = await cli( args , { stdin: stream.Readable.from( input ) , stdout: capture( out ) , stderr: capture( err ) } ) ;
+
+		return { code , out: Buffer.concat( out ).toString() , err: Buffer.concat( err ).toString() } ;
+	}
+
+	it( "should get, set, delete and list keys" , async () => {
+		var filePath = tmpPath() ;
+
+		expect( ( await run( [ 'set' , filePath , 'user:1' , 'Bob' ] ) ).code ).to.be( 0 ) ;
+		expect( ( await run( [ 'set' , filePath , 'user:2' , '-' ] , [ Buffer.from( 'Alice' ) ] ) ).code ).to.be( 0 ) ;
+		expect( ( await run( [ 'set' , filePath , 'other' , 'value' , '--ttl=60000' ] ) ).code ).to.be( 0 ) ;
+
+		expect( await run( [ 'get' , filePath , 'user:2' ] ) ).to.partially.equal( { code: 0 , out: 'Alice\n' } ) ;
+		expect( await run( [ 'get' , filePath , 'nope' ] ) ).to.partially.equal( { code: 1 , out: '' } ) ;
+		expect( JSON.parse( ( await run( [ 'get' , filePath , 'other' , '--json' ] ) ).out ) ).to.partially.equal( { k: 'other' , v: 'value' } ) ;
+
+		expect( await run( [ 'keys' , filePath , '--prefix' , 'user:' , '--json' ] ) ).to.equal( { code: 0 , out: '["user:1","user:2"]\n' , err: '' } ) ;
+		expect( await run( [ 'keys' , filePath , '--limit=1' ] ) ).to.partially.equal( { code: 0 , out: 'other\n' } ) ;
+
+		expect( ( await run( [ 'del' , filePath , 'user:1' ] ) ).code ).to.be( 0 ) ;
+		expect( ( await run( [ 'del' , filePath , 'user:1' ] ) ).code ).to.be( 1 ) ;
+		expect( JSON.parse( ( await run( [ 'stat' , filePath , '--json' ] ) ).out ) ).to.partially.equal( { entries: 2 } ) ;
+		expect( JSON.parse( ( await run( [ 'verify' , filePath , '--json' ] ) ).out ) ).to.partially.equal( { ok: true , entries: 2 } ) ;
+
+		expect( ( await run( [ 'frob' , filePath ] ) ).code ).to.be( 2 ) ;
+		expect( ( await run( [ 'get' , filePath , '--bogus' ] ) ).code ).to.be( 2 ) ;
+
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should dump, load and run shell scripts" , async () => {
+		var filePath = tmpPath() ,
+			filePath2 = tmpPath() ,
+			result ;
+
+		result = await run( [ 'shell' , filePath ] , [ 'set a hello world\nset b two\nget a\nbogus\ndel b\nsize\n' ] ) ;
+		expect( result ).to.equal( { code: 2 , out: 'hello world\n1\n' , err: 'Unknown command: bogus\n' } ) ;
+
+		result = await run( [ 'dump' , filePath ] ) ;
+		expect( result.out.split( '\n' )[ 1 ] ).to.be( '{"k":"a","v":"hello world"}' ) ;
+
+		expect( await run( [ 'load' , filePath2 , '--json' ] , [ result.out ] ) ).to.partially.equal( { code: 0 , out: '{"imported":1}\n' } ) ;
+		expect( ( await run( [ 'get' , filePath2 , 'a' ] ) ).out ).to.be( 'hello world\n' ) ;
+
+		cleanPath( filePath ) ;
+		cleanPath( filePath2 ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Write batching" , () => {
+
+	// Return an object counting writeDB() calls and file writes
+	function countWrites( store ) {
+		var counter = { batches: 0 , writes: 0 } ,
+			writeDB = store.writeDB.bind( store ) ,
+			write = store.file.write.bind( store.file ) ;
+
+		store.writeDB = ops => {
+			counter.batches ++ ;
+			return writeDB( ops ) ;
+		} ;
+
+		store.file.write = ( ... args ) => {
+			counter.writes ++ ;
+			return write( ... args ) ;
+		} ;
+
+		return counter ;
+	}
+
+	it( "should write concurrent sets and deletes as one batch, merging appends" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { writeBatching: true } ) ,
+			counter , i ;
+
+		await store.loadDB() ;
+		await store.set( 'first' , 'value' ) ;
+		counter = countWrites( store ) ;
+
+		await Promise.all( [
+			... Array.from( { length: 100 } , ( e , index ) => store.set( 'key' + index , 'value' + index ) ) ,
+			store.set( 'first' , 'updated' ) ,
+			store.delete( 'key50' )
+		] ) ;
+
+		expect( counter.batches ).to.be( 1 ) ;
+		expect( counter.writes ).to.be.below( 10 ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( store.size ).to.be( 100 ) ;
+		expect( await store.get( 'first' ) ).to.be( 'updated' ) ;
+		expect( await store.has( 'key50' ) ).to.be( false ) ;
+		for ( i = 0 ; i < 100 ; i ++ ) {
+			if ( i !== 50 ) { expect( await store.get( 'key' + i ) ).to.be( 'value' + i ) ; }
+		}
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should only reject the failing write of a batch, and leave the allocator untouched" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { writeBatching: true } ) ,
+			entryBuffer = store.entryBuffer ,
+			results ;
+
+		// An entry that fails to be encoded once its write is being built
+		store.entryBuffer = function( key , ... args ) {
+			if ( key === 'bad' ) { throw new Error( "Can't encode" ) ; }
+			return entryBuffer.call( this , key , ... args ) ;
+		} ;
+
+		await store.loadDB() ;
+		results = await Promise.all( [
+			store.set( 'a' , 'one' ) ,
+			store.set( 'bad' , 'value' ) ,
+			store.set( 'k'.repeat( 70000 ) , 'value' ) ,
+			store.set( 'b' , 'two' )
+		].map( promise => promise.catch( error => error.message ) ) ) ;
+
+		expect( results ).to.equal( [ undefined , "Can't encode" , "Keys can't be longer than 65535 bytes" , undefined ] ) ;
+		expect( store.eof ).to.be( fs.statSync( filePath ).size ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.entries() ] ).to.equal( [ [ 'a' , 'one' ] , [ 'b' , 'two' ] ] ) ;
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should not move writes across other queued operations" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { writeBatching: true } ) ;
+
+		await store.loadDB() ;
+		await Promise.all( [
+			store.set( 'a' , 'one' ) ,
+			store.set( 'b' , 'one' ) ,
+			store.clear() ,
+			store.set( 'c' , 'one' )
+		] ) ;
+		await store.close() ;
+
+		store = new KVStore( filePath ) ;
+		await store.loadDB() ;
+		expect( [ ... store.keys() ] ).to.equal( [ 'c' ] ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+
+	it( "should wait for more writes during the window, and share one fsync with 'group-commit'" , async () => {
+		var filePath = tmpPath() ,
+			store = new KVStore( filePath , { writeBatching: { window: 30 } , durability: 'group-commit' } ) ,
+			counter , syncs = 0 , sync , promises ;
+
+		await store.loadDB() ;
+		counter = countWrites( store ) ;
+		sync = store.file.sync.bind( store.file ) ;
+		store.file.sync = () => { syncs ++ ; return sync() ; } ;
+
+		promises = [ store.set( 'a' , 'one' ) ] ;
+		await Promise.resolveTimeout( 5 ) ;
+		promises.push( store.set( 'b' , 'two' ) ) ;
+		await Promise.all( promises ) ;
+
+		expect( counter.batches ).to.be( 1 ) ;
+		expect( syncs ).to.be( 1 ) ;
+
+		await store.close() ;
+		cleanPath( filePath ) ;
+	} ) ;
+} ) ;